@@ -0,0 +1,158 @@
+// pages/api/account.js - personal data export and self-service account deletion
+import { createClient } from '@supabase/supabase-js';
+import bcrypt from 'bcrypt';
+import JSZip from 'jszip';
+import { getSessionUser, parseBody } from './authUtils.js';
+import { buildAccountExport, DELETION_GRACE_DAYS } from './accountDeletion.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // Set CORS headers for Vercel
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const auth = await getSessionUser(supabase, req);
+    if (!auth) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+
+    const { user, session } = auth;
+
+    if (req.method === 'GET') {
+      // Download my data
+      if (req.query.action === 'export') {
+        const { data, error } = await buildAccountExport(supabase, user);
+        if (error) {
+          return res.status(500).json({ success: false, error: 'Failed to build your data export. Please try again.' });
+        }
+
+        const stamp = data.exported_at.slice(0, 10);
+        const baseName = `vibro-export-${user.username || user.id}-${stamp}`;
+
+        if (req.query.format === 'zip') {
+          const zip = new JSZip();
+          zip.file('profile.json', JSON.stringify(data.profile, null, 2));
+          zip.file('videos.json', JSON.stringify(data.videos, null, 2));
+          zip.file('comments.json', JSON.stringify(data.comments, null, 2));
+          zip.file('likes.json', JSON.stringify(data.likes, null, 2));
+          zip.file('notifications.json', JSON.stringify(data.notifications, null, 2));
+          zip.file('sessions.json', JSON.stringify(data.sessions, null, 2));
+          zip.file('README.txt', `Vibro data export for ${user.email}\nGenerated ${data.exported_at}\n\nUploaded video files are linked by video_url in videos.json.\n`);
+
+          const archive = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+          res.setHeader('Content-Type', 'application/zip');
+          res.setHeader('Content-Disposition', `attachment; filename="${baseName}.zip"`);
+          res.setHeader('Cache-Control', 'no-store');
+          return res.status(200).send(archive);
+        }
+
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Content-Disposition', `attachment; filename="${baseName}.json"`);
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).send(JSON.stringify(data, null, 2));
+      }
+
+      // Deletion status
+      return res.status(200).json({
+        success: true,
+        deletion_requested_at: user.deletion_requested_at || null,
+        deletion_scheduled_for: user.deletion_scheduled_for || null,
+        grace_period_days: DELETION_GRACE_DAYS
+      });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    const { action, password, confirm } = parseBody(req);
+
+    if (action === 'request_deletion') {
+      if (user.deletion_scheduled_for) {
+        return res.status(409).json({
+          success: false,
+          error: 'Account deletion is already scheduled',
+          deletion_scheduled_for: user.deletion_scheduled_for
+        });
+      }
+
+      if (confirm !== 'DELETE') {
+        return res.status(400).json({ success: false, error: 'Type DELETE to confirm account deletion' });
+      }
+
+      // Password accounts re-authenticate; Google-only accounts rely on the session
+      const passwordHash = user.encrypted_password || user.password;
+      if (passwordHash && !(password && await bcrypt.compare(password, passwordHash))) {
+        return res.status(401).json({ success: false, error: 'Incorrect password' });
+      }
+
+      const now = new Date();
+      const scheduledFor = new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+      const { error } = await supabase
+        .from('users')
+        .update({
+          deletion_requested_at: now.toISOString(),
+          deletion_scheduled_for: scheduledFor
+        })
+        .eq('id', user.id);
+
+      if (error) {
+        console.error('Deletion request error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to schedule account deletion' });
+      }
+
+      // Keep this session so the user can still cancel; sign out everywhere else
+      await supabase
+        .from('sessions')
+        .delete()
+        .eq('user_email', user.email)
+        .neq('id', session.id);
+
+      return res.status(200).json({
+        success: true,
+        message: `Your account will be permanently deleted on ${scheduledFor.slice(0, 10)}. Until then you can cancel it from your account settings; API tokens are disabled in the meantime.`,
+        deletion_scheduled_for: scheduledFor
+      });
+    }
+
+    if (action === 'cancel_deletion') {
+      if (!user.deletion_scheduled_for) {
+        return res.status(400).json({ success: false, error: 'No account deletion is scheduled' });
+      }
+
+      const { error } = await supabase
+        .from('users')
+        .update({ deletion_requested_at: null, deletion_scheduled_for: null })
+        .eq('id', user.id);
+
+      if (error) {
+        console.error('Deletion cancel error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to cancel account deletion' });
+      }
+
+      return res.status(200).json({ success: true, message: 'Account deletion cancelled' });
+    }
+
+    return res.status(400).json({ success: false, error: 'Unknown action' });
+
+  } catch (err) {
+    console.error('Account API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
@@ -0,0 +1,111 @@
+import { deleteVideoAndAssets, listStorageObjects, removeStorageObjects } from './videoUtils.js';
+
+export const DELETION_GRACE_DAYS = 14;
+
+// Credentials and internal moderation signals never leave the server
+const PRIVATE_USER_FIELDS = [
+  'password',
+  'encrypted_password',
+  'totp_secret',
+  'totp_pending_secret',
+  'totp_recovery_codes',
+  'totp_last_step',
+  'is_honeytoken',
+  'spam_score'
+];
+
+/**
+ * Everything we hold about a user, for the "download my data" export. Fails as a
+ * whole if any part can't be read, rather than handing over an archive with gaps.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {object} user full users row
+ * @returns {Promise<{ data?: object, error?: any }>}
+ */
+export async function buildAccountExport(supabase, user) {
+  const profile = { ...user };
+  PRIVATE_USER_FIELDS.forEach(field => delete profile[field]);
+
+  const results = await Promise.all([
+    supabase.from('videos').select('*').eq('user_id', user.id).order('created_at', { ascending: true }),
+    supabase.from('comments').select('id, video_id, comment_text, created_at, edited_at').eq('user_id', user.id).order('created_at', { ascending: true }),
+    supabase.from('likes').select('target_type, target_id, created_at').eq('user_email', user.email),
+    supabase.from('notifications').select('type, payload, read, created_at').eq('user_id', user.id).order('created_at', { ascending: true }),
+    supabase.from('sessions').select('id, created_at, expires_at, context').eq('user_email', user.email)
+  ]);
+
+  const failed = results.find(result => result.error);
+  if (failed) {
+    console.error('❌ Account export query failed:', failed.error);
+    return { error: failed.error };
+  }
+
+  const [videos, comments, likes, notifications, sessions] = results;
+  return {
+    data: {
+      exported_at: new Date().toISOString(),
+      profile,
+      videos: videos.data || [],
+      comments: comments.data || [],
+      likes: likes.data || [],
+      notifications: notifications.data || [],
+      sessions: sessions.data || []
+    }
+  };
+}
+
+/**
+ * Permanently delete an account once its grace period is over. Videos and
+ * their storage go away; comments left on other people's videos are kept but
+ * detached from the user so threads still read sensibly.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {object} user
+ * @returns {Promise<{ error: any }>}
+ */
+export async function purgeAccount(supabase, user) {
+  const { data: videos } = await supabase
+    .from('videos')
+    .select('id, user_id, video_url, cover_url, thumbnail_candidates')
+    .eq('user_id', user.id);
+
+  for (const video of videos || []) {
+    await deleteVideoAndAssets(supabase, video);
+  }
+
+  // Anything left in the user's folders (orphaned or replaced uploads)
+  await removeStorageObjects(supabase, 'videos', await listStorageObjects(supabase, 'videos', user.id));
+  await removeStorageObjects(supabase, 'covers', await listStorageObjects(supabase, 'covers', user.id));
+  await removeStorageObjects(supabase, 'avatars', await listStorageObjects(supabase, 'avatars', 'avatars', `${user.id}_`));
+
+  const { error: anonymizeError } = await supabase
+    .from('comments')
+    .update({ user_id: null })
+    .eq('user_id', user.id);
+
+  if (anonymizeError) {
+    console.error('❌ Comment anonymization failed:', anonymizeError);
+    return { error: anonymizeError };
+  }
+
+  await supabase.from('likes').delete().eq('user_email', user.email);
+  await supabase.from('notifications').delete().eq('user_id', user.id);
+  await supabase.from('sessions').delete().eq('user_email', user.email);
+  await supabase.from('sessions').delete().eq('user_id', user.id);
+  await supabase.from('pending_verifications').delete().eq('email', user.email);
+
+  for (const table of ['passkeys', 'api_tokens', 'known_devices', 'device_alerts', 'password_resets', 'email_verifications']) {
+    const { error } = await supabase.from(table).delete().eq('user_id', user.id);
+    if (error) console.error(`⚠️ Could not clear ${table}:`, error);
+  }
+
+  const { error } = await supabase
+    .from('users')
+    .delete()
+    .eq('id', user.id);
+
+  if (error) {
+    console.error('❌ User row delete failed:', error);
+    return { error };
+  }
+
+  return { error: null };
+}
@@ -0,0 +1,373 @@
+// pages/api/admin.js - moderator/admin tools, every action is audited
+import { createClient } from '@supabase/supabase-js';
+import { getSessionUser, getClientIp, parseBody, normalizeEmail } from './authUtils.js';
+import { deleteVideoAndAssets } from './videoUtils.js';
+import { QUOTA_TIERS, QUOTA_OVERRIDE_COLUMNS } from './quotas.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const ROLES = ['user', 'moderator', 'admin'];
+
+// Minimum role for each action
+const ACTION_ROLES = {
+  search_users: 'moderator',
+  suspend: 'moderator',
+  unsuspend: 'moderator',
+  remove_video: 'moderator',
+  remove_comment: 'moderator',
+  set_limited: 'admin',
+  set_quota: 'admin',
+  force_logout: 'admin',
+  set_role: 'admin',
+  audit_log: 'admin',
+  security_events: 'admin'
+};
+
+function roleRank(role) {
+  const rank = ROLES.indexOf(role || 'user');
+  return rank === -1 ? 0 : rank;
+}
+
+/**
+ * Write the audit entry for an action. Called before the action runs, and the
+ * action must not run if this fails, so nothing happens without a trail.
+ * @returns {Promise<string|null>} the entry's id, or null if it couldn't be written
+ */
+async function audit(req, actor, action, targetType, targetId, details = {}) {
+  const { data, error } = await supabase
+    .from('admin_audit_log')
+    .insert({
+      actor_id: actor.id,
+      actor_email: actor.email,
+      action,
+      target_type: targetType,
+      target_id: targetId,
+      details,
+      ip: getClientIp(req),
+      created_at: new Date().toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error('Audit log insert failed:', error);
+    return null;
+  }
+  return data.id;
+}
+
+// The action was audited but didn't go through; say so on its entry
+async function markAuditFailed(auditId, details) {
+  const { error } = await supabase
+    .from('admin_audit_log')
+    .update({ details: { ...details, failed: true } })
+    .eq('id', auditId);
+
+  if (error) {
+    console.error('Audit log update failed:', error);
+  }
+}
+
+function auditFailedResponse(res) {
+  return res.status(500).json({ success: false, error: 'Could not record this action in the audit log, so it was not applied' });
+}
+
+// Moderators may only act on regular users; nobody may act on themselves
+async function loadTargetUser(actor, userId) {
+  if (!userId) return { status: 400, error: 'user_id required' };
+  if (userId === actor.id) return { status: 400, error: 'You cannot perform this action on your own account' };
+
+  const { data: target } = await supabase
+    .from('users')
+    .select('id, email, username, role, suspended, limited_account, quota_tier')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (!target) return { status: 404, error: 'User not found' };
+  if (roleRank(target.role) >= roleRank(actor.role) && actor.role !== 'admin') {
+    return { status: 403, error: 'Insufficient permissions for this user' };
+  }
+  return { target };
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers for Vercel
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const auth = await getSessionUser(supabase, req);
+    if (!auth) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+
+    const actor = auth.user;
+    const params = req.method === 'GET' ? req.query : parseBody(req);
+    const { action } = params;
+
+    const requiredRole = ACTION_ROLES[action];
+    if (!requiredRole) {
+      return res.status(400).json({ success: false, error: 'Unknown action' });
+    }
+
+    if (actor.suspended || roleRank(actor.role) < roleRank(requiredRole)) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    // ========== READ-ONLY ACTIONS ==========
+    if (action === 'search_users') {
+      const q = (params.q || '').trim().replace(/[,()]/g, '');
+      const limit = Math.min(parseInt(params.limit) || 25, 100);
+      const offset = parseInt(params.offset) || 0;
+
+      let query = supabase
+        .from('users')
+        .select('id, email, username, role, verified, suspended, suspension_reason, limited_account, quota_tier, video_count, created_at, last_login')
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (q) {
+        query = query.or(`email.ilike.%${q}%,username.ilike.%${q}%`);
+      }
+
+      const { data: users, error } = await query;
+      if (error) {
+        console.error('User search error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to search users' });
+      }
+
+      return res.status(200).json({ success: true, users: users || [] });
+    }
+
+    if (action === 'audit_log') {
+      const limit = Math.min(parseInt(params.limit) || 50, 200);
+      const offset = parseInt(params.offset) || 0;
+
+      let query = supabase
+        .from('admin_audit_log')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (params.actor_id) query = query.eq('actor_id', params.actor_id);
+      if (params.target_id) query = query.eq('target_id', params.target_id);
+
+      const { data: entries, error } = await query;
+      if (error) {
+        console.error('Audit log fetch error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to load audit log' });
+      }
+
+      return res.status(200).json({ success: true, entries: entries || [] });
+    }
+
+    if (action === 'security_events') {
+      const limit = Math.min(parseInt(params.limit) || 50, 200);
+      const offset = parseInt(params.offset) || 0;
+
+      let query = supabase
+        .from('security_events')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (params.type) query = query.eq('event_type', params.type);
+      if (params.ip) query = query.eq('ip', params.ip);
+      if (params.email) query = query.eq('email', normalizeEmail(params.email));
+      if (params.user_id) query = query.eq('user_id', params.user_id);
+      if (params.fingerprint) query = query.eq('fingerprint', params.fingerprint);
+      if (params.since) query = query.gte('created_at', params.since);
+
+      const { data: events, error } = await query;
+      if (error) {
+        console.error('Security events fetch error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to load security events' });
+      }
+
+      return res.status(200).json({ success: true, events: events || [] });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ success: false, error: 'Use POST for this action' });
+    }
+
+    // ========== USER ACTIONS ==========
+    if (['suspend', 'unsuspend', 'set_limited', 'set_quota', 'force_logout', 'set_role'].includes(action)) {
+      const { target, status, error: targetError } = await loadTargetUser(actor, params.user_id);
+      if (!target) {
+        return res.status(status).json({ success: false, error: targetError });
+      }
+
+      let updates = null;
+      let details = {};
+
+      switch (action) {
+        case 'suspend': {
+          const reason = (params.reason || '').trim();
+          if (!reason) {
+            return res.status(400).json({ success: false, error: 'A suspension reason is required' });
+          }
+          updates = { suspended: true, suspension_reason: reason };
+          details = { reason };
+          break;
+        }
+        case 'unsuspend':
+          updates = { suspended: false, suspension_reason: null };
+          details = { reason: params.reason || null };
+          break;
+        case 'set_limited':
+          updates = { limited_account: !!params.limited };
+          details = { limited: !!params.limited, previous: !!target.limited_account };
+          break;
+        case 'set_quota': {
+          // tier: a QUOTA_TIERS key or null for the default; limits: a number or null to use the tier's
+          updates = {};
+          if (params.tier !== undefined) {
+            if (params.tier !== null && !QUOTA_TIERS[params.tier]) {
+              return res.status(400).json({ success: false, error: `Tier must be one of: ${Object.keys(QUOTA_TIERS).join(', ')} (or null)` });
+            }
+            updates.quota_tier = params.tier;
+          }
+
+          for (const [limit, column] of Object.entries(QUOTA_OVERRIDE_COLUMNS)) {
+            if (params[limit] === undefined) continue;
+            const value = params[limit] === null ? null : Number(params[limit]);
+            if (value !== null && (!Number.isInteger(value) || value < 0)) {
+              return res.status(400).json({ success: false, error: `${limit} must be a non-negative integer or null` });
+            }
+            updates[column] = value;
+          }
+
+          if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ success: false, error: 'Provide tier and/or storage_bytes, uploads_per_day, max_duration' });
+          }
+          details = { ...updates, previous_tier: target.quota_tier || null };
+          break;
+        }
+        case 'set_role':
+          if (!ROLES.includes(params.role)) {
+            return res.status(400).json({ success: false, error: `Role must be one of: ${ROLES.join(', ')}` });
+          }
+          updates = { role: params.role };
+          details = { role: params.role, previous: target.role || 'user' };
+          break;
+      }
+
+      const auditId = await audit(req, actor, action, 'user', target.id, details);
+      if (!auditId) return auditFailedResponse(res);
+
+      if (updates) {
+        const { error } = await supabase
+          .from('users')
+          .update(updates)
+          .eq('id', target.id);
+
+        if (error) {
+          console.error(`Admin ${action} failed:`, error);
+          await markAuditFailed(auditId, details);
+          return res.status(500).json({ success: false, error: 'Failed to update user' });
+        }
+      }
+
+      // Suspension and force-logout both end every session
+      if (action === 'suspend' || action === 'force_logout') {
+        await supabase.from('sessions').delete().eq('user_id', target.id);
+        await supabase.from('sessions').delete().eq('user_email', target.email);
+      }
+
+      return res.status(200).json({ success: true, message: `Action "${action}" applied to ${target.username || target.email}` });
+    }
+
+    // ========== CONTENT ACTIONS ==========
+    if (action === 'remove_video') {
+      const { data: video } = await supabase
+        .from('videos')
+        .select('id, user_id, title, video_url, cover_url, thumbnail_candidates')
+        .eq('id', params.video_id)
+        .maybeSingle();
+
+      if (!video) {
+        return res.status(404).json({ success: false, error: 'Video not found' });
+      }
+
+      const details = {
+        reason: params.reason || null,
+        title: video.title,
+        owner_id: video.user_id
+      };
+      const auditId = await audit(req, actor, action, 'video', video.id, details);
+      if (!auditId) return auditFailedResponse(res);
+
+      const { error } = await deleteVideoAndAssets(supabase, video);
+      if (error) {
+        await markAuditFailed(auditId, details);
+        return res.status(500).json({ success: false, error: 'Failed to remove video' });
+      }
+
+      return res.status(200).json({ success: true, message: 'Video removed' });
+    }
+
+    if (action === 'remove_comment') {
+      const { data: comment } = await supabase
+        .from('comments')
+        .select('id, user_id, video_id, comment_text')
+        .eq('id', params.comment_id)
+        .maybeSingle();
+
+      if (!comment) {
+        return res.status(404).json({ success: false, error: 'Comment not found' });
+      }
+
+      const details = {
+        reason: params.reason || null,
+        video_id: comment.video_id,
+        author_id: comment.user_id,
+        text: comment.comment_text
+      };
+      const auditId = await audit(req, actor, action, 'comment', comment.id, details);
+      if (!auditId) return auditFailedResponse(res);
+
+      await supabase
+        .from('likes')
+        .delete()
+        .eq('target_type', 'comment')
+        .eq('target_id', comment.id);
+
+      const { error } = await supabase
+        .from('comments')
+        .delete()
+        .eq('id', comment.id);
+
+      if (error) {
+        console.error('Comment removal failed:', error);
+        await markAuditFailed(auditId, details);
+        return res.status(500).json({ success: false, error: 'Failed to remove comment' });
+      }
+
+      return res.status(200).json({ success: true, message: 'Comment removed' });
+    }
+
+    return res.status(400).json({ success: false, error: 'Unknown action' });
+
+  } catch (err) {
+    console.error('Admin API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
@@ -0,0 +1,168 @@
+// pages/api/api-tokens.js - personal access tokens for scripts and CI
+import { createClient } from '@supabase/supabase-js';
+import { getSessionUser, parseBody } from './authUtils.js';
+import {
+  generateApiToken,
+  API_TOKEN_SCOPES,
+  MAX_TOKEN_LIFETIME_DAYS
+} from './patUtils.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DEFAULT_TOKEN_LIFETIME_DAYS = 90;
+const MAX_TOKENS_PER_USER = 20;
+
+export default async function handler(req, res) {
+  // Set CORS headers for Vercel
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    // Tokens are managed from a browser session only; a token can't mint more tokens
+    const auth = await getSessionUser(supabase, req);
+    if (!auth) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+
+    const { user } = auth;
+
+    // List tokens (never the secret)
+    if (req.method === 'GET') {
+      const { data: tokens, error } = await supabase
+        .from('api_tokens')
+        .select('id, name, token_prefix, scopes, expires_at, last_used_at, last_used_ip, created_at')
+        .eq('user_id', user.id)
+        .is('revoked_at', null)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('API tokens fetch error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to load API tokens' });
+      }
+
+      const now = new Date();
+      return res.status(200).json({
+        success: true,
+        scopes: API_TOKEN_SCOPES,
+        tokens: (tokens || []).map(token => ({
+          ...token,
+          expired: !!token.expires_at && new Date(token.expires_at) < now
+        }))
+      });
+    }
+
+    // Create a token; the raw value is returned exactly once
+    if (req.method === 'POST') {
+      const { name, scopes, expires_in_days } = parseBody(req);
+
+      const tokenName = (name || '').trim();
+      if (!tokenName || tokenName.length > 100) {
+        return res.status(400).json({ success: false, error: 'Token name is required (max 100 characters)' });
+      }
+
+      const requestedScopes = Array.isArray(scopes) ? [...new Set(scopes)] : [];
+      if (requestedScopes.length === 0 || requestedScopes.some(scope => !API_TOKEN_SCOPES.includes(scope))) {
+        return res.status(400).json({
+          success: false,
+          error: `Scopes must be a non-empty list drawn from: ${API_TOKEN_SCOPES.join(', ')}`
+        });
+      }
+
+      const lifetimeDays = expires_in_days === undefined ? DEFAULT_TOKEN_LIFETIME_DAYS : parseInt(expires_in_days);
+      if (!Number.isInteger(lifetimeDays) || lifetimeDays < 1 || lifetimeDays > MAX_TOKEN_LIFETIME_DAYS) {
+        return res.status(400).json({
+          success: false,
+          error: `expires_in_days must be between 1 and ${MAX_TOKEN_LIFETIME_DAYS}`
+        });
+      }
+
+      const { count } = await supabase
+        .from('api_tokens')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', user.id)
+        .is('revoked_at', null);
+
+      if ((count || 0) >= MAX_TOKENS_PER_USER) {
+        return res.status(400).json({
+          success: false,
+          error: `You can have at most ${MAX_TOKENS_PER_USER} active tokens. Revoke one first.`
+        });
+      }
+
+      const { token, tokenHash, displayPrefix } = generateApiToken();
+      const expiresAt = new Date(Date.now() + lifetimeDays * 24 * 60 * 60 * 1000).toISOString();
+
+      const { data: created, error } = await supabase
+        .from('api_tokens')
+        .insert({
+          user_id: user.id,
+          name: tokenName,
+          token_hash: tokenHash,
+          token_prefix: displayPrefix,
+          scopes: requestedScopes,
+          expires_at: expiresAt,
+          created_at: new Date().toISOString()
+        })
+        .select('id, name, token_prefix, scopes, expires_at, created_at')
+        .single();
+
+      if (error) {
+        console.error('API token insert error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to create API token' });
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: 'Copy this token now. It will not be shown again.',
+        token,
+        details: created
+      });
+    }
+
+    // Revoke a token
+    if (req.method === 'DELETE') {
+      const { id } = parseBody(req);
+      if (!id) {
+        return res.status(400).json({ success: false, error: 'Token id required' });
+      }
+
+      const { data: revoked, error } = await supabase
+        .from('api_tokens')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('user_id', user.id)
+        .is('revoked_at', null)
+        .select('id');
+
+      if (error) {
+        console.error('API token revoke error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to revoke API token' });
+      }
+
+      if (!revoked || revoked.length === 0) {
+        return res.status(404).json({ success: false, error: 'Token not found' });
+      }
+
+      return res.status(200).json({ success: true, message: 'Token revoked' });
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+
+  } catch (err) {
+    console.error('API tokens error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
@@ -0,0 +1,405 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import cookie from 'cookie';
+import { recordLoginDevice } from './deviceAlerts.js';
+
+/**
+ * Verify an hCaptcha token
+ * @param {string} token
+ * @param {string} ip
+ * @returns {Promise<boolean>}
+ */
+export async function verifyCaptcha(token, ip) {
+  if (!token) return false;
+  const secret = process.env.CAPTCHA_SECRET_KEY;
+
+  try {
+    const res = await fetch('https://hcaptcha.com/siteverify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: `secret=${secret}&response=${token}&remoteip=${ip}`
+    });
+
+    const data = await res.json();
+    return data.success === true;
+  } catch (err) {
+    console.error('CAPTCHA ERROR:', err);
+    return false;
+  }
+}
+
+/**
+ * Strong password check: 8+ characters with upper, lower, digit and special
+ * @param {string} password
+ * @returns {boolean}
+ */
+export function passwordStrongEnough(password) {
+  return (
+    password.length >= 8 &&
+    /[A-Z]/.test(password) &&
+    /[a-z]/.test(password) &&
+    /\d/.test(password) &&
+    /[!@#$%^&*]/.test(password)
+  );
+}
+
+/**
+ * Generate a random single-use token and the hash we store for it.
+ * Only the hash is persisted so a leaked table can't be replayed.
+ * @returns {{ token: string, tokenHash: string }}
+ */
+export function generateOneTimeToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+}
+
+/**
+ * @param {string} token
+ * @returns {string}
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Replace any outstanding password reset link for a user with a fresh one
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} userId
+ * @param {string} ip
+ * @param {number} ttlMs
+ * @returns {Promise<string|null>} the raw token to put in the link, or null on failure
+ */
+export async function createPasswordResetToken(supabase, userId, ip, ttlMs) {
+  const { token, tokenHash } = generateOneTimeToken();
+
+  // Invalidate any earlier links so only the newest one works
+  await supabase
+    .from('password_resets')
+    .delete()
+    .eq('user_id', userId);
+
+  const { error } = await supabase
+    .from('password_resets')
+    .insert({
+      user_id: userId,
+      token_hash: tokenHash,
+      expires_at: new Date(Date.now() + ttlMs).toISOString(),
+      requested_ip: ip
+    });
+
+  if (error) {
+    console.error('Reset token insert failed:', error);
+    return null;
+  }
+  return token;
+}
+
+/**
+ * Absolute base URL of the deployment, used to build links in emails
+ * @param {import('http').IncomingMessage} req
+ * @returns {string}
+ */
+export function getBaseUrl(req) {
+  if (process.env.APP_URL) return process.env.APP_URL.replace(/\/$/, '');
+  const proto = req.headers['x-forwarded-proto'] || 'https';
+  return `${proto}://${req.headers.host}`;
+}
+
+/**
+ * Parse a JSON body that Vercel may hand us as a string
+ * @param {import('http').IncomingMessage & { body?: any }} req
+ * @returns {object}
+ */
+export function parseBody(req) {
+  if (typeof req.body === 'string') {
+    try {
+      return JSON.parse(req.body);
+    } catch (e) {
+      return {};
+    }
+  }
+  return req.body || {};
+}
+
+// Shared by sign-up and the username picker so both accept the same names
+export const USERNAME_PATTERN = /^[a-zA-Z0-9_]{3,30}$/;
+export const USERNAME_RULES = 'Username must be 3-30 characters and contain only letters, numbers and underscores';
+
+/**
+ * Emails are stored trimmed and lowercased; every lookup must match that
+ * @param {string} email
+ * @returns {string}
+ */
+export function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Best-effort client IP for rate limiting and session context
+ * @param {import('http').IncomingMessage} req
+ * @returns {string}
+ */
+export function getClientIp(req) {
+  return req.headers['x-forwarded-for'] || req.headers['client-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+// AES-GCM encrypted session token
+export function generateEncryptedToken() {
+  const iv = crypto.randomBytes(16);
+  const key = crypto.scryptSync(process.env.SESSION_SECRET || 'fallback-secret-key-32-bytes-long-here', 'salt', 32);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv, { authTagLength: 16 });
+  const uuid = uuidv4();
+  const encrypted = cipher.update(uuid, 'utf8', 'hex') + cipher.final('hex');
+  const tag = cipher.getAuthTag().toString('hex');
+  return `${iv.toString('hex')}:${tag}:${encrypted}`;
+}
+
+/**
+ * Per-browser device fingerprint, the same for every login method
+ * @param {import('http').IncomingMessage} req
+ * @returns {string}
+ */
+export function headerFingerprint(req) {
+  return crypto
+    .createHash('sha256')
+    .update((req.headers['user-agent'] || '') + (req.headers['accept-language'] || ''))
+    .digest('hex');
+}
+
+/**
+ * Why an otherwise authenticated user may not get a session right now
+ * (lockout after failed passwords, or a forced reset from a "this wasn't me" link)
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} userId
+ * @returns {Promise<{ status: number, error: string, redirect?: string }|null>}
+ */
+export async function getLoginBlock(supabase, userId) {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('locked_until, password_reset_required')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Login block lookup failed:', error);
+    return { status: 500, error: 'Authentication service temporarily unavailable' };
+  }
+
+  if (user?.locked_until && new Date(user.locked_until) > new Date()) {
+    return {
+      status: 423,
+      error: 'Account temporarily locked after too many failed attempts. Please try again later or reset your password.'
+    };
+  }
+
+  if (user?.password_reset_required) {
+    return {
+      status: 403,
+      error: 'For your security, please reset your password before logging in.',
+      redirect: '/forgot-password.html'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Insert a `sessions` row for a user. Every login method goes through here
+ * so sessions carry the same token format and `context`, and all of them
+ * honour lockouts, forced resets and new-device alerts.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {import('http').IncomingMessage} req
+ * @param {{ id: string, email: string }} user
+ * @param {number} expiresInDays
+ * @returns {Promise<{ session_token?: string, session_id?: string, expiresAt?: Date, error?: any, blocked?: { status: number, error: string, redirect?: string } }>}
+ *   `blocked` is set (and no session created) when the account may not sign in
+ */
+export async function createSession(supabase, req, user, expiresInDays) {
+  const blocked = await getLoginBlock(supabase, user.id);
+  if (blocked) {
+    return { blocked };
+  }
+
+  const session_token = generateEncryptedToken();
+  const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+
+  // Create session record - handle potential foreign key issues
+  const sessionData = {
+    user_id: user.id,
+    user_email: user.email,
+    session_token,
+    expires_at: expiresAt.toISOString(),
+    verified: true,
+    context: {
+      ip: getClientIp(req),
+      user_agent: req.headers['user-agent'],
+      timestamp: new Date().toISOString()
+    }
+  };
+
+  let { data, error } = await supabase
+    .from('sessions')
+    .insert(sessionData)
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error('Session insert failed:', error);
+
+    // If foreign key error, try without user_id
+    if (error.message?.includes('foreign key constraint')) {
+      delete sessionData.user_id;
+      ({ data, error } = await supabase
+        .from('sessions')
+        .insert(sessionData)
+        .select('id')
+        .single());
+
+      if (error) {
+        console.error('Retry session insert failed:', error);
+      }
+    }
+  }
+
+  if (!error) {
+    // Email the owner if this fingerprint or IP hasn't been seen on the account
+    await recordLoginDevice(supabase, req, {
+      user,
+      fingerprint: headerFingerprint(req),
+      ip: getClientIp(req),
+      sessionId: data?.id
+    });
+  }
+
+  return { session_token, session_id: data?.id, expiresAt, error };
+}
+
+/**
+ * Serialize the `__Host-session_secure` cookie
+ * @param {string} sessionToken
+ * @param {number} expiresInDays
+ * @returns {string}
+ */
+export function sessionCookie(sessionToken, expiresInDays) {
+  return [
+    `__Host-session_secure=${sessionToken}`,
+    'Path=/',
+    'HttpOnly',
+    'Secure',
+    `Max-Age=${expiresInDays * 24 * 60 * 60}`,
+    'SameSite=Strict'
+  ].join('; ');
+}
+
+// Holds the signed OAuth state + PKCE verifier between googleRedirect and googleCallback
+export const GOOGLE_OAUTH_COOKIE = '__Host-oauth_google';
+
+/**
+ * Serialize a payload as `base64url(json).hmac` signed with SESSION_SECRET
+ * @param {object} payload
+ * @returns {string}
+ */
+export function signPayload(payload) {
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${hmac(data)}`;
+}
+
+/**
+ * Verify a value produced by signPayload
+ * @param {string} value
+ * @returns {object|null} the payload, or null if tampered with or malformed
+ */
+export function verifySignedPayload(value) {
+  if (!value || typeof value !== 'string') return null;
+  const [data, signature] = value.split('.');
+  if (!data || !signature) return null;
+
+  const expected = Buffer.from(hmac(data));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function hmac(data) {
+  return crypto
+    .createHmac('sha256', process.env.SESSION_SECRET || 'fallback-secret-key-32-bytes-long-here')
+    .update(data)
+    .digest('base64url');
+}
+
+/**
+ * Only allow same-origin relative paths as post-login destinations
+ * @param {string} returnTo
+ * @param {string} [fallback]
+ * @returns {string}
+ */
+export function safeReturnTo(returnTo, fallback = '/index.html') {
+  if (typeof returnTo !== 'string') return fallback;
+  if (!returnTo.startsWith('/') || returnTo.startsWith('//') || returnTo.includes('\\')) {
+    return fallback;
+  }
+  return returnTo;
+}
+
+/**
+ * Resolve the `__Host-session_secure` cookie to its session and user.
+ * Expired sessions are deleted on sight.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {import('http').IncomingMessage} req
+ * @returns {Promise<{ session: object, user: object, sessionToken: string } | null>}
+ */
+export async function getSessionUser(supabase, req) {
+  const cookies = cookie.parse(req.headers.cookie || '');
+  const sessionToken = cookies['__Host-session_secure'] || cookies.session_secure;
+  if (!sessionToken) return null;
+
+  const { data: session, error: sessionError } = await supabase
+    .from('sessions')
+    .select('*')
+    .eq('session_token', sessionToken)
+    .maybeSingle();
+
+  if (sessionError || !session) {
+    if (sessionError) console.error('Session lookup error:', sessionError);
+    return null;
+  }
+
+  if (new Date(session.expires_at) < new Date()) {
+    await supabase.from('sessions').delete().eq('session_token', sessionToken);
+    return null;
+  }
+
+  const { data: user, error: userError } = await supabase
+    .from('users')
+    .select('*')
+    .eq('email', session.user_email)
+    .maybeSingle();
+
+  if (userError || !user) {
+    if (userError) console.error('Session user lookup error:', userError);
+    return null;
+  }
+
+  return { session, user, sessionToken };
+}
+
+/**
+ * Scheduled jobs: Vercel Cron sends `Authorization: Bearer $CRON_SECRET`
+ * @param {import('http').IncomingMessage} req
+ * @returns {boolean}
+ */
+export function isAuthorizedCron(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.headers.authorization || '');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
@@ -0,0 +1,199 @@
+import { videoAssetPrefix, storagePathFromUrl } from './videoUtils.js';
+
+export const MAX_CAPTION_SIZE = 1024 * 1024; // 1MB
+export const MAX_CAPTION_TRACKS = 20;
+
+// Uploads may carry caption files as `caption_<language>` parts (e.g. caption_en, caption_pt-BR)
+export const CAPTION_FIELD_PREFIX = 'caption_';
+
+// BCP 47-ish: "en", "pt-BR", "zh-Hant"
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+// 00:01:02,345 (SRT) or 00:01:02.345 / 01:02.345 (WebVTT)
+const TIMING_PATTERN = /^(?:\d{1,2}:)?\d{1,2}:\d{2}[,.]\d{3}\s+-->\s+(?:\d{1,2}:)?\d{1,2}:\d{2}[,.]\d{3}/;
+
+/**
+ * Lowercase the primary subtag, keep the rest as given ("PT-br" -> "pt-br")
+ * @param {string} language
+ * @returns {string|null} null when it doesn't look like a language tag
+ */
+export function normalizeLanguage(language) {
+  const [primary, ...rest] = String(language || '').trim().split('-');
+  const tag = [primary.toLowerCase(), ...rest].join('-');
+  return LANGUAGE_PATTERN.test(tag) ? tag : null;
+}
+
+// "pt-BR" -> "Brazilian Portuguese"; falls back to the tag itself
+function languageLabel(language) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+  } catch (e) {
+    return language;
+  }
+}
+
+/**
+ * Convert SubRip to WebVTT: header, and "," -> "." in cue timings. Numeric cue
+ * indices are valid WebVTT cue identifiers, so they stay.
+ * @param {string} srt
+ * @returns {string}
+ */
+export function srtToVtt(srt) {
+  const body = srt
+    .split('\n')
+    .map(line => (TIMING_PATTERN.test(line) ? line.replace(/(\d{2}),(\d{3})/g, '$1.$2') : line))
+    .join('\n');
+
+  return `WEBVTT\n\n${body.trim()}\n`;
+}
+
+/**
+ * Accept a WebVTT or SRT caption file and return WebVTT
+ * @param {Buffer|string} content
+ * @returns {{ vtt?: string, error?: string }}
+ */
+export function toWebVtt(content) {
+  const text = content
+    .toString('utf8')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n');
+
+  const hasCues = text.split('\n').some(line => TIMING_PATTERN.test(line.trim()));
+  if (!hasCues) {
+    return { error: 'Caption file has no cues; expected WebVTT or SRT' };
+  }
+
+  if (/^WEBVTT(?:[ \t].*)?(?:\n|$)/.test(text)) {
+    return { vtt: text.endsWith('\n') ? text : `${text}\n` };
+  }
+
+  return { vtt: srtToVtt(text) };
+}
+
+/**
+ * Check a caption track without storing it (uploads reject bad tracks before the video is stored)
+ * @param {{ language: string, content: Buffer|string }} track
+ * @returns {{ language?: string, vtt?: string, error?: string, status?: number }}
+ */
+export function validateCaption({ language, content }) {
+  const tag = normalizeLanguage(language);
+  if (!tag) {
+    return { error: `"${language}" is not a valid language code (e.g. en, pt-BR)`, status: 400 };
+  }
+
+  if (Buffer.byteLength(content) > MAX_CAPTION_SIZE) {
+    return { error: 'Caption file exceeds the 1MB limit', status: 413 };
+  }
+
+  const { vtt, error } = toWebVtt(content);
+  if (error) {
+    return { error, status: 400 };
+  }
+
+  return { language: tag, vtt };
+}
+
+/**
+ * Tracks to hand to the player, in language order
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} videoId
+ * @returns {Promise<{ language: string, label: string, url: string }[]>}
+ */
+export async function listCaptions(supabase, videoId) {
+  const { data, error } = await supabase
+    .from('video_captions')
+    .select('language, label, url')
+    .eq('video_id', videoId)
+    .order('language', { ascending: true });
+
+  if (error) {
+    console.error('⚠️ Caption lookup failed:', error);
+    return [];
+  }
+
+  return data || [];
+}
+
+/**
+ * Convert, store and upsert one caption track (one per language per video)
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {{ id: string, user_id: string }} video
+ * @param {{ language: string, label?: string, content: Buffer|string }} track
+ * @returns {Promise<{ caption?: { language: string, label: string, url: string }, error?: string, status?: number }>}
+ */
+export async function saveCaption(supabase, video, { language, label, content }) {
+  const { language: tag, vtt, error: trackError, status } = validateCaption({ language, content });
+  if (trackError) {
+    return { error: trackError, status };
+  }
+
+  const { data: existing } = await supabase
+    .from('video_captions')
+    .select('id, language, url')
+    .eq('video_id', video.id);
+
+  const previous = (existing || []).find(track => track.language === tag);
+  if (!previous && (existing || []).length >= MAX_CAPTION_TRACKS) {
+    return { error: `A video can have at most ${MAX_CAPTION_TRACKS} caption tracks`, status: 400 };
+  }
+
+  // Versioned name so a replaced track isn't served stale from the CDN
+  const path = `${videoAssetPrefix(video)}/captions/${tag}_${Date.now()}.vtt`;
+  const { error: uploadError } = await supabase.storage
+    .from('videos')
+    .upload(path, Buffer.from(vtt, 'utf8'), {
+      contentType: 'text/vtt',
+      cacheControl: 'public, max-age=31536000',
+    });
+
+  if (uploadError) {
+    console.error('❌ Caption upload failed:', uploadError);
+    return { error: 'Failed to store caption file', status: 500 };
+  }
+
+  const caption = {
+    language: tag,
+    label: (label || '').trim().slice(0, 100) || languageLabel(tag),
+    url: supabase.storage.from('videos').getPublicUrl(path).data.publicUrl,
+  };
+
+  const { error: dbError } = await supabase
+    .from('video_captions')
+    .upsert({ video_id: video.id, ...caption, created_at: new Date().toISOString() }, { onConflict: 'video_id,language' });
+
+  if (dbError) {
+    console.error('❌ Caption insert failed:', dbError);
+    await supabase.storage.from('videos').remove([path]);
+    return { error: 'Failed to save caption track', status: 500 };
+  }
+
+  if (previous) {
+    await supabase.storage.from('videos').remove([storagePathFromUrl(previous.url, 'videos')].filter(Boolean));
+  }
+
+  return { caption };
+}
+
+/**
+ * Remove one language's track and its file
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} videoId
+ * @param {string} language
+ * @returns {Promise<boolean>} false when there was no such track
+ */
+export async function deleteCaption(supabase, videoId, language) {
+  const { data: removed } = await supabase
+    .from('video_captions')
+    .delete()
+    .eq('video_id', videoId)
+    .eq('language', normalizeLanguage(language) || language)
+    .select('url');
+
+  if (!removed || removed.length === 0) return false;
+
+  const paths = removed.map(track => storagePathFromUrl(track.url, 'videos')).filter(Boolean);
+  if (paths.length > 0) {
+    await supabase.storage.from('videos').remove(paths);
+  }
+  return true;
+}
@@ -0,0 +1,74 @@
+// Chapters follow the conventions viewers already know from other platforms, so
+// descriptions written for those carry over: first chapter at 0:00, at least
+// MIN_CHAPTERS of them, ascending, each at least MIN_CHAPTER_SECONDS long.
+export const MIN_CHAPTERS = 3;
+export const MIN_CHAPTER_SECONDS = 10;
+const MAX_TITLE_LENGTH = 100;
+
+// "00:00 Intro", "1:02:03 - Q&A", "[12:30] Demo", "(4:05) | Wrap-up"
+const CHAPTER_LINE = /^\s*[[(]?(?:(\d{1,2}):)?(\d{1,2}):(\d{2})[\])]?(?:\s*[-–—:|]\s*|\s+)(\S.*?)\s*$/;
+
+function lineToChapter(line) {
+  const match = CHAPTER_LINE.exec(line);
+  if (!match) return null;
+
+  const [, hours, minutes, seconds, title] = match;
+  if (Number(seconds) > 59 || (hours !== undefined && Number(minutes) > 59)) return null;
+
+  return {
+    start: Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds),
+    title: title.slice(0, MAX_TITLE_LENGTH),
+  };
+}
+
+/**
+ * Pull timestamp lines out of a description and check them against the video's length.
+ * Any rule violation drops all chapters (a half-right list is worse than none).
+ * @param {string|null} description
+ * @param {number|null} duration probed duration in seconds
+ * @returns {{ chapters: { title: string, start: number, end: number }[], error: string|null }}
+ *   `error` explains why timestamps that were found were not used
+ */
+export function parseChapters(description, duration) {
+  const found = (description || '')
+    .split(/\r?\n/)
+    .map(lineToChapter)
+    .filter(Boolean);
+
+  if (found.length === 0) {
+    return { chapters: [], error: null };
+  }
+
+  const reject = (error) => ({ chapters: [], error });
+
+  if (!duration) {
+    return reject('Video duration is unknown, so chapters cannot be checked');
+  }
+
+  if (found.length < MIN_CHAPTERS) {
+    return reject(`At least ${MIN_CHAPTERS} timestamps are needed for chapters`);
+  }
+
+  if (found[0].start !== 0) {
+    return reject('The first chapter must start at 0:00');
+  }
+
+  const chapters = found.map((chapter, index) => ({
+    ...chapter,
+    end: index + 1 < found.length ? found[index + 1].start : duration,
+  }));
+
+  for (const chapter of chapters) {
+    if (chapter.start >= duration) {
+      return reject(`Chapter "${chapter.title}" starts after the video ends`);
+    }
+    if (chapter.end <= chapter.start) {
+      return reject('Chapter timestamps must be in ascending order');
+    }
+    if (chapter.end - chapter.start < MIN_CHAPTER_SECONDS) {
+      return reject(`Chapter "${chapter.title}" is shorter than ${MIN_CHAPTER_SECONDS} seconds`);
+    }
+  }
+
+  return { chapters, error: null };
+}
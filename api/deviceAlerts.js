@@ -0,0 +1,99 @@
+import { generateOneTimeToken, getBaseUrl } from './authUtils.js';
+import { sendMail, pickLocale } from './mailer.js';
+
+const ALERT_LINK_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_DEVICE_LENGTH = 200;
+
+// The IP and User-Agent are whatever the client sent. Reduce them to characters that
+// can't carry markup before they reach the alert row or the email, whatever template renders them.
+function displayIp(ip) {
+  return String(ip || '').split(',')[0].trim().replace(/[^0-9a-fA-F.:]/g, '') || 'unknown';
+}
+
+function displayDevice(userAgent) {
+  const device = String(userAgent || '')
+    .replace(/[\u0000-\u001f\u007f<>"'&`]/g, '')
+    .trim()
+    .slice(0, MAX_DEVICE_LENGTH);
+  return device || 'Unknown device';
+}
+
+/**
+ * Remember the device a user just signed in from, and email them if the
+ * fingerprint or IP is new. The first device on an account never alerts.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {import('http').IncomingMessage} req
+ * @param {{ user: object, fingerprint: string, ip: string, sessionId: string }} login
+ */
+export async function recordLoginDevice(supabase, req, { user, fingerprint, ip, sessionId }) {
+  try {
+    const { data: devices, error } = await supabase
+      .from('known_devices')
+      .select('id, fingerprint, ip')
+      .eq('user_id', user.id);
+
+    if (error) {
+      console.error('Known devices fetch error:', error);
+      return;
+    }
+
+    // One row per fingerprint and IP pair, so every address a device used stays known
+    const now = new Date().toISOString();
+    const clientIp = displayIp(ip);
+    const knownDevice = devices.some(device => device.fingerprint === fingerprint);
+    const knownIp = devices.some(device => device.ip === clientIp);
+    const seenPair = devices.find(device => device.fingerprint === fingerprint && device.ip === clientIp);
+
+    if (seenPair) {
+      await supabase
+        .from('known_devices')
+        .update({ last_seen_at: now })
+        .eq('id', seenPair.id);
+    } else {
+      await supabase
+        .from('known_devices')
+        .insert({ user_id: user.id, fingerprint, ip: clientIp, first_seen_at: now, last_seen_at: now });
+    }
+
+    if (devices.length > 0 && (!knownDevice || !knownIp)) {
+      await sendNewDeviceAlert(supabase, req, { user, ip, sessionId });
+    }
+  } catch (err) {
+    // Never block a login on the alert
+    console.error('New device check failed:', err);
+  }
+}
+
+async function sendNewDeviceAlert(supabase, req, { user, ip, sessionId }) {
+  const { token, tokenHash } = generateOneTimeToken();
+
+  const { error } = await supabase
+    .from('device_alerts')
+    .insert({
+      user_id: user.id,
+      session_id: sessionId || null,
+      token_hash: tokenHash,
+      ip: displayIp(ip),
+      user_agent: req.headers['user-agent'] ? displayDevice(req.headers['user-agent']) : null,
+      expires_at: new Date(Date.now() + ALERT_LINK_TTL_MS).toISOString()
+    });
+
+  if (error) {
+    console.error('Device alert insert failed:', error);
+    return;
+  }
+
+  const link = `${getBaseUrl(req)}/api/not-me?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    template: 'new_device',
+    locale: pickLocale(req),
+    data: {
+      when: new Date().toUTCString(),
+      ip: displayIp(ip),
+      device: displayDevice(req.headers['user-agent']),
+      link
+    }
+  });
+}
@@ -0,0 +1,140 @@
+// Named email templates. Each template has per-locale variants with
+// subject, text and html renderers; `en` is the fallback locale.
+
+export const DEFAULT_LOCALE = 'en';
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Shared HTML shell so every message keeps the same look
+function layout(body, footer) {
+  return `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        ${body}
+        <hr style="border: 1px solid #eee; margin: 20px 0;">
+        <p style="color: #666; font-size: 12px;">${footer}</p>
+      </div>`;
+}
+
+function button(href, label, color = '#6366f1') {
+  return `<p><a href="${escapeHtml(href)}" style="display: inline-block; padding: 12px 24px; background: ${color}; color: #fff; border-radius: 6px; text-decoration: none;">${label}</a></p>`;
+}
+
+const FOOTER = {
+  en: 'This is an automated message, please do not reply.',
+  es: 'Este es un mensaje automático, por favor no respondas.'
+};
+
+export const templates = {
+  // 6-digit code for the email step of login
+  login_code: {
+    en: {
+      subject: () => 'Verify Your Login',
+      text: ({ code }) => `Your verification code is: ${code}\nIt expires in 1 minute.`,
+      html: ({ code }) => layout(`<h2>Login Verification Code</h2>
+        <p>Your verification code is: <strong style="font-size: 24px; letter-spacing: 5px;">${escapeHtml(code)}</strong></p>
+        <p>This code will expire in <strong>1 minute</strong>.</p>
+        <p>If you didn't request this code, please ignore this email.</p>`, FOOTER.en)
+    },
+    es: {
+      subject: () => 'Verifica tu inicio de sesión',
+      text: ({ code }) => `Tu código de verificación es: ${code}\nCaduca en 1 minuto.`,
+      html: ({ code }) => layout(`<h2>Código de verificación</h2>
+        <p>Tu código de verificación es: <strong style="font-size: 24px; letter-spacing: 5px;">${escapeHtml(code)}</strong></p>
+        <p>Este código caduca en <strong>1 minuto</strong>.</p>
+        <p>Si no solicitaste este código, ignora este correo.</p>`, FOOTER.es)
+    }
+  },
+
+  // Link sent after sign-up
+  verify_account: {
+    en: {
+      subject: () => 'Confirm Your Vibro Account',
+      text: ({ username, link }) => `Welcome to Vibro, ${username}!\nConfirm your email address by opening this link:\n${link}\nThe link expires in 24 hours.`,
+      html: ({ username, link }) => layout(`<h2>Welcome to Vibro, ${escapeHtml(username)}!</h2>
+        <p>Confirm your email address to activate your account:</p>
+        ${button(link, 'Verify my email')}
+        <p>This link will expire in <strong>24 hours</strong>.</p>
+        <p>If you didn't create an account, please ignore this email.</p>`, FOOTER.en)
+    },
+    es: {
+      subject: () => 'Confirma tu cuenta de Vibro',
+      text: ({ username, link }) => `¡Bienvenido a Vibro, ${username}!\nConfirma tu correo abriendo este enlace:\n${link}\nEl enlace caduca en 24 horas.`,
+      html: ({ username, link }) => layout(`<h2>¡Bienvenido a Vibro, ${escapeHtml(username)}!</h2>
+        <p>Confirma tu correo electrónico para activar tu cuenta:</p>
+        ${button(link, 'Verificar mi correo')}
+        <p>Este enlace caduca en <strong>24 horas</strong>.</p>
+        <p>Si no creaste una cuenta, ignora este correo.</p>`, FOOTER.es)
+    }
+  },
+
+  password_reset: {
+    en: {
+      subject: () => 'Reset Your Vibro Password',
+      text: ({ link }) => `We received a request to reset your password.\nChoose a new password here:\n${link}\nThe link expires in 30 minutes and can only be used once.`,
+      html: ({ link }) => layout(`<h2>Password Reset</h2>
+        <p>We received a request to reset your password.</p>
+        ${button(link, 'Choose a new password')}
+        <p>This link will expire in <strong>30 minutes</strong> and can only be used once.</p>
+        <p>If you didn't request a reset, please ignore this email. Your password will not change.</p>`, FOOTER.en)
+    },
+    es: {
+      subject: () => 'Restablece tu contraseña de Vibro',
+      text: ({ link }) => `Recibimos una solicitud para restablecer tu contraseña.\nElige una nueva aquí:\n${link}\nEl enlace caduca en 30 minutos y solo puede usarse una vez.`,
+      html: ({ link }) => layout(`<h2>Restablecer contraseña</h2>
+        <p>Recibimos una solicitud para restablecer tu contraseña.</p>
+        ${button(link, 'Elegir una nueva contraseña')}
+        <p>Este enlace caduca en <strong>30 minutos</strong> y solo puede usarse una vez.</p>
+        <p>Si no lo solicitaste, ignora este correo. Tu contraseña no cambiará.</p>`, FOOTER.es)
+    }
+  },
+
+  new_device: {
+    en: {
+      subject: () => 'New Sign-in to Your Vibro Account',
+      text: ({ when, ip, device, link }) => `We noticed a new sign-in to your account.\nWhen: ${when}\nIP address: ${ip}\nDevice: ${device}\n\nIf this was you, you can ignore this email.\nIf this wasn't you, open this link to sign that device out and reset your password:\n${link}`,
+      html: ({ when, ip, device, link }) => layout(`<h2>New Sign-in Detected</h2>
+        <p>We noticed a new sign-in to your account.</p>
+        <p><strong>When:</strong> ${escapeHtml(when)}<br><strong>IP address:</strong> ${escapeHtml(ip)}<br><strong>Device:</strong> ${escapeHtml(device)}</p>
+        <p>If this was you, you can ignore this email.</p>
+        ${button(link, "This wasn't me", '#ef4444')}
+        <p>This signs that device out and asks you to choose a new password.</p>`, FOOTER.en)
+    },
+    es: {
+      subject: () => 'Nuevo inicio de sesión en tu cuenta de Vibro',
+      text: ({ when, ip, device, link }) => `Detectamos un nuevo inicio de sesión en tu cuenta.\nCuándo: ${when}\nDirección IP: ${ip}\nDispositivo: ${device}\n\nSi fuiste tú, puedes ignorar este correo.\nSi no fuiste tú, abre este enlace para cerrar esa sesión y restablecer tu contraseña:\n${link}`,
+      html: ({ when, ip, device, link }) => layout(`<h2>Nuevo inicio de sesión</h2>
+        <p>Detectamos un nuevo inicio de sesión en tu cuenta.</p>
+        <p><strong>Cuándo:</strong> ${escapeHtml(when)}<br><strong>Dirección IP:</strong> ${escapeHtml(ip)}<br><strong>Dispositivo:</strong> ${escapeHtml(device)}</p>
+        <p>Si fuiste tú, puedes ignorar este correo.</p>
+        ${button(link, 'No fui yo', '#ef4444')}
+        <p>Esto cierra la sesión en ese dispositivo y te pide elegir una nueva contraseña.</p>`, FOOTER.es)
+    }
+  },
+
+  // Operator alert, sent to SECURITY_ALERT_EMAIL
+  honeytoken_alert: {
+    en: {
+      subject: ({ email }) => `[Security] Honeytoken login attempt: ${email}`,
+      text: ({ email, ip, fingerprint, userAgent, when, quietMinutes }) => `A honeytoken account was used to sign in.
+Account: ${email}
+When: ${when}
+IP address: ${ip}
+Fingerprint: ${fingerprint}
+User agent: ${userAgent}
+
+This usually means a leaked credential list is being replayed against the site.
+Further attempts on this account or from this IP in the next ${quietMinutes} minutes are only recorded in security_events.`,
+      html: ({ email, ip, fingerprint, userAgent, when, quietMinutes }) => layout(`<h2>Honeytoken Login Attempt</h2>
+        <p>A honeytoken account was used to sign in.</p>
+        <p><strong>Account:</strong> ${escapeHtml(email)}<br><strong>When:</strong> ${escapeHtml(when)}<br><strong>IP address:</strong> ${escapeHtml(ip)}<br><strong>Fingerprint:</strong> ${escapeHtml(fingerprint)}<br><strong>User agent:</strong> ${escapeHtml(userAgent)}</p>
+        <p>This usually means a leaked credential list is being replayed against the site.</p>
+        <p>Further attempts on this account or from this IP in the next ${escapeHtml(quietMinutes)} minutes are only recorded in security_events.</p>`, FOOTER.en)
+    }
+  }
+};
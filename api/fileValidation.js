@@ -0,0 +1,203 @@
+import sharp from 'sharp';
+import { runFfprobe, summarizeProbe } from './mediaProbe.js';
+
+// Error codes returned to clients as `code` next to the human-readable `error`
+export const FILE_ERRORS = {
+  UNSUPPORTED_FILE_TYPE: 'UNSUPPORTED_FILE_TYPE',
+  FILE_TYPE_MISMATCH: 'FILE_TYPE_MISMATCH',
+  UNREADABLE_FILE: 'UNREADABLE_FILE',
+  NO_VIDEO_STREAM: 'NO_VIDEO_STREAM'
+};
+
+/**
+ * Allowlisted formats. `extension` and `mimeType` are what we store; `extensions`
+ * and `mimeTypes` are what a client may declare for a file sniffed as that format
+ * (MP4/QuickTime and WebM/Matroska are routinely labelled as each other).
+ * `probeName` is the ffprobe/sharp format name the content must parse as.
+ */
+export const VIDEO_FORMATS = {
+  mp4: { extension: 'mp4', mimeType: 'video/mp4', extensions: ['mp4', 'm4v', 'mov'], mimeTypes: ['video/mp4', 'video/x-m4v', 'video/quicktime'], probeName: 'mp4' },
+  mov: { extension: 'mov', mimeType: 'video/quicktime', extensions: ['mov', 'qt', 'mp4'], mimeTypes: ['video/quicktime', 'video/mp4'], probeName: 'mov' },
+  webm: { extension: 'webm', mimeType: 'video/webm', extensions: ['webm', 'mkv'], mimeTypes: ['video/webm', 'video/x-matroska'], probeName: 'webm' },
+  mkv: { extension: 'mkv', mimeType: 'video/x-matroska', extensions: ['mkv', 'webm'], mimeTypes: ['video/x-matroska', 'video/webm'], probeName: 'matroska' }
+};
+
+export const IMAGE_FORMATS = {
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg', extensions: ['jpg', 'jpeg', 'jfif'], mimeTypes: ['image/jpeg', 'image/pjpeg'], probeName: 'jpeg' },
+  png: { extension: 'png', mimeType: 'image/png', extensions: ['png'], mimeTypes: ['image/png'], probeName: 'png' },
+  webp: { extension: 'webp', mimeType: 'image/webp', extensions: ['webp'], mimeTypes: ['image/webp'], probeName: 'webp' },
+  gif: { extension: 'gif', mimeType: 'image/gif', extensions: ['gif'], mimeTypes: ['image/gif'], probeName: 'gif' }
+};
+
+// How many leading bytes sniffVideoFormat/sniffImageFormat need
+export const SNIFF_BYTES = 64;
+
+// Browsers send these when they don't know the type; only the extension is checked then
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+// ISO-BMFF brands that are still images (AVIF/HEIC), not video
+const IMAGE_BRANDS = ['avif', 'avis', 'heic', 'heix', 'heim', 'heis', 'mif1', 'msf1'];
+
+// Top-level atoms that open QuickTime files written without an ftyp box
+const QUICKTIME_ATOMS = ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+
+function ascii(buffer, start, end) {
+  return buffer.subarray(start, end).toString('latin1');
+}
+
+function fileExtension(filename) {
+  const parts = (filename || '').toLowerCase().split('.');
+  return parts.length > 1 ? parts.pop() : '';
+}
+
+function fileError(code, error, status = 415) {
+  return { error, code, status };
+}
+
+/**
+ * Identify a video container from its first bytes
+ * @param {Buffer} head at least SNIFF_BYTES from the start of the file
+ * @returns {string|null} key of VIDEO_FORMATS
+ */
+export function sniffVideoFormat(head) {
+  if (!head || head.length < 12) return null;
+
+  if (ascii(head, 4, 8) === 'ftyp') {
+    const brand = ascii(head, 8, 12).trim();
+    if (IMAGE_BRANDS.includes(brand)) return null;
+    return brand === 'qt' ? 'mov' : 'mp4';
+  }
+
+  if (QUICKTIME_ATOMS.includes(ascii(head, 4, 8))) {
+    return 'mov';
+  }
+
+  // EBML header; the DocType element says which flavour of Matroska
+  if (head[0] === 0x1a && head[1] === 0x45 && head[2] === 0xdf && head[3] === 0xa3) {
+    const header = ascii(head, 4, SNIFF_BYTES);
+    if (header.includes('webm')) return 'webm';
+    if (header.includes('matroska')) return 'mkv';
+  }
+
+  return null;
+}
+
+/**
+ * Identify an image format from its first bytes
+ * @param {Buffer} head
+ * @returns {string|null} key of IMAGE_FORMATS
+ */
+export function sniffImageFormat(head) {
+  if (!head || head.length < 12) return null;
+
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'jpeg';
+  if (head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (ascii(head, 0, 4) === 'RIFF' && ascii(head, 8, 12) === 'WEBP') return 'webp';
+  if (['GIF87a', 'GIF89a'].includes(ascii(head, 0, 6))) return 'gif';
+
+  return null;
+}
+
+/**
+ * Check the client's filename and content type against the allowlist, before
+ * any bytes are seen (resumable uploads declare them up front)
+ * @param {{ filename: string, mimeType?: string }} declared
+ * @param {object} formats VIDEO_FORMATS or IMAGE_FORMATS
+ * @returns {{ error?: string, code?: string, status?: number }}
+ */
+export function checkDeclaredType({ filename, mimeType }, formats) {
+  const extension = fileExtension(filename);
+  const type = (mimeType || '').toLowerCase();
+  const allowed = Object.values(formats);
+
+  if (!allowed.some(format => format.extensions.includes(extension))) {
+    return fileError(FILE_ERRORS.UNSUPPORTED_FILE_TYPE, `Unsupported file extension ".${extension}". Allowed: ${[...new Set(allowed.map(format => format.extension))].join(', ')}`);
+  }
+
+  if (!GENERIC_MIME_TYPES.includes(type) && !allowed.some(format => format.mimeTypes.includes(type))) {
+    return fileError(FILE_ERRORS.UNSUPPORTED_FILE_TYPE, `Unsupported content type "${type}"`);
+  }
+
+  return {};
+}
+
+/**
+ * Sniff the file's leading bytes and make sure they agree with what the client declared
+ * @param {Buffer} head
+ * @param {{ filename: string, mimeType?: string }} declared
+ * @param {'video'|'image'} kind
+ * @returns {{ format?: object, formatId?: string, error?: string, code?: string, status?: number }}
+ *   `format` carries the normalized extension and mimeType to store with
+ */
+export function sniffUpload(head, declared, kind) {
+  const formats = kind === 'video' ? VIDEO_FORMATS : IMAGE_FORMATS;
+  const declaredCheck = checkDeclaredType(declared, formats);
+  if (declaredCheck.error) return declaredCheck;
+
+  const formatId = kind === 'video' ? sniffVideoFormat(head) : sniffImageFormat(head);
+  if (!formatId) {
+    return fileError(FILE_ERRORS.UNSUPPORTED_FILE_TYPE, `File content is not a supported ${kind} format`);
+  }
+
+  const format = formats[formatId];
+  const extension = fileExtension(declared.filename);
+  const type = (declared.mimeType || '').toLowerCase();
+
+  if (!format.extensions.includes(extension) || (!GENERIC_MIME_TYPES.includes(type) && !format.mimeTypes.includes(type))) {
+    return fileError(FILE_ERRORS.FILE_TYPE_MISMATCH, `File content is ${formatId.toUpperCase()} but it was uploaded as ${type || `.${extension}`}`);
+  }
+
+  return { format, formatId };
+}
+
+/**
+ * Parse the stored video with ffprobe: the container must be the sniffed one and
+ * hold a video stream. Returns the media fields so callers don't probe twice.
+ * @param {string} input file path or URL
+ * @param {string} formatId key of VIDEO_FORMATS
+ * @returns {Promise<{ media?: object, error?: string, code?: string, status?: number }>}
+ */
+export async function probeVideoContainer(input, formatId) {
+  let probe;
+  try {
+    probe = await runFfprobe(input);
+  } catch (err) {
+    console.error('⚠️ Container probe failed:', err.message);
+    return fileError(FILE_ERRORS.UNREADABLE_FILE, 'The video file could not be read', 422);
+  }
+
+  const containers = (probe.format?.format_name || '').split(',');
+  if (!containers.includes(VIDEO_FORMATS[formatId].probeName)) {
+    return fileError(FILE_ERRORS.FILE_TYPE_MISMATCH, `Container is ${probe.format?.format_name || 'unknown'}, expected ${formatId.toUpperCase()}`);
+  }
+
+  const media = summarizeProbe(probe);
+  if (!media.video_codec) {
+    return fileError(FILE_ERRORS.NO_VIDEO_STREAM, 'The file contains no video stream', 422);
+  }
+
+  console.log('🎞️ Probed video:', media);
+  return { media };
+}
+
+/**
+ * Decode an image's header with sharp and make sure it is the sniffed format
+ * @param {Buffer} buffer
+ * @param {string} formatId key of IMAGE_FORMATS
+ * @returns {Promise<{ error?: string, code?: string, status?: number }>}
+ */
+export async function probeImage(buffer, formatId) {
+  try {
+    const metadata = await sharp(buffer).metadata();
+    if (metadata.format !== IMAGE_FORMATS[formatId].probeName) {
+      return fileError(FILE_ERRORS.FILE_TYPE_MISMATCH, `Image is ${metadata.format}, expected ${formatId.toUpperCase()}`);
+    }
+    if (!metadata.width || !metadata.height) {
+      return fileError(FILE_ERRORS.UNREADABLE_FILE, 'The image has no dimensions', 422);
+    }
+    return {};
+  } catch (err) {
+    console.error('⚠️ Image probe failed:', err.message);
+    return fileError(FILE_ERRORS.UNREADABLE_FILE, 'The image file could not be read', 422);
+  }
+}
@@ -0,0 +1,114 @@
+// pages/api/forgot-password.js
+import { createClient } from '@supabase/supabase-js';
+import {
+  createPasswordResetToken,
+  getBaseUrl,
+  getClientIp,
+  parseBody,
+  normalizeEmail
+} from './authUtils.js';
+import { checkRateLimit } from './rateLimit.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from './securityEvents.js';
+import { sendMail, pickLocale } from './mailer.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+  {
+    auth: {
+      persistSession: false
+    }
+  }
+);
+
+const RESET_TTL_MS = 30 * 60 * 1000; // 30 minutes
+
+// Same response whether or not the address exists, to avoid account enumeration
+const GENERIC_RESPONSE = {
+  success: true,
+  message: 'If an account exists for that email, a password reset link has been sent.'
+};
+
+export default async function handler(req, res) {
+  // Set CORS headers for Vercel
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const body = parseBody(req);
+    const email = normalizeEmail(body.email);
+
+    if (!email) {
+      return res.status(400).json({ success: false, error: 'Email is required' });
+    }
+
+    const ip = getClientIp(req);
+
+    // Rate limit check (shared with login attempts)
+    const { allowed } = await checkRateLimit(res, 'login', ip + email);
+    if (!allowed) {
+      await recordSecurityEvent(supabase, req, {
+        type: SECURITY_EVENTS.RATE_LIMITED,
+        email,
+        details: { policy: 'login', route: 'forgot-password' }
+      });
+      return res.status(429).json({
+        success: false,
+        error: 'Too many attempts. Please try again in 15 minutes.'
+      });
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, email, suspended, is_honeytoken')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (userError) {
+      console.error('Supabase fetch error:', userError);
+      return res.status(500).json({ success: false, error: 'Service temporarily unavailable' });
+    }
+
+    if (!user || user.suspended || user.is_honeytoken) {
+      return res.status(200).json(GENERIC_RESPONSE);
+    }
+
+    // Failures past this point are only logged: an error that only existing
+    // accounts can hit would tell them apart from unknown addresses
+    const token = await createPasswordResetToken(supabase, user.id, ip, RESET_TTL_MS);
+    if (!token) {
+      return res.status(200).json(GENERIC_RESPONSE);
+    }
+
+    const link = `${getBaseUrl(req)}/forgot-password.html?token=${token}`;
+    const emailSent = await sendMail({
+      to: user.email,
+      template: 'password_reset',
+      locale: pickLocale(req),
+      data: { link }
+    });
+    if (!emailSent) {
+      console.error('Password reset email failed for user:', user.id);
+    }
+
+    return res.status(200).json(GENERIC_RESPONSE);
+
+  } catch (err) {
+    console.error('FORGOT PASSWORD ERROR:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
@@ -1,9 +1,24 @@
 import { createClient } from '@supabase/supabase-js';
-import { v4 as uuidv4 } from 'uuid';
+import cookie from 'cookie';
+import crypto from 'crypto';
+import {
+  createSession,
+  sessionCookie,
+  verifySignedPayload,
+  safeReturnTo,
+  normalizeEmail,
+  GOOGLE_OAUTH_COOKIE
+} from './authUtils.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from './securityEvents.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
+  process.env.SUPABASE_KEY,
+  {
+    auth: {
+      persistSession: false
+    }
+  }
 );
 
 export default async function handler(req, res) {
@@ -11,10 +26,36 @@ export default async function handler(req, res) {
     return res.status(405).send('Method not allowed');
   }
 
+  // The state cookie is single-use: clear it on every outcome
+  const clearOAuthCookie = `${GOOGLE_OAUTH_COOKIE}=; Path=/; HttpOnly; Secure; Max-Age=0; SameSite=Lax`;
+  res.setHeader('Set-Cookie', clearOAuthCookie);
+
   try {
+    if (req.query.error) {
+      return res.redirect(`/login.html?oauth_error=${encodeURIComponent(req.query.error)}`);
+    }
+
     const code = req.query.code;
     if (!code) return res.status(400).send('Missing code');
 
+    // Validate state (CSRF) and recover the PKCE verifier
+    const cookies = cookie.parse(req.headers.cookie || '');
+    const oauth = verifySignedPayload(cookies[GOOGLE_OAUTH_COOKIE]);
+
+    if (!oauth || !oauth.state || !oauth.code_verifier) {
+      return res.status(400).send('Missing or invalid login state. Please try signing in again.');
+    }
+
+    if (Date.now() > oauth.expires_at) {
+      return res.status(400).send('Login request expired. Please try signing in again.');
+    }
+
+    const expectedState = Buffer.from(oauth.state);
+    const receivedState = Buffer.from(String(req.query.state || ''));
+    if (expectedState.length !== receivedState.length || !crypto.timingSafeEqual(expectedState, receivedState)) {
+      return res.status(400).send('Invalid login state. Please try signing in again.');
+    }
+
     const redirectUri = `${process.env.SITE_URL}`;
 
     // Exchange code for token
@@ -23,7 +64,8 @@ export default async function handler(req, res) {
       client_id: process.env.GOOGLE_CLIENT_ID,
       client_secret: process.env.GOOGLE_CLIENT_SECRET,
       redirect_uri: redirectUri,
-      grant_type: 'authorization_code'
+      grant_type: 'authorization_code',
+      code_verifier: oauth.code_verifier
     });
 
     const tokenRes = await fetch('https://oauth2.googleapis.com/token', {
@@ -41,7 +83,7 @@ export default async function handler(req, res) {
     });
     const profile = await profileRes.json();
     const googleId = profile.id;
-    const googleEmail = profile.email;
+    const googleEmail = normalizeEmail(profile.email);
 
     // Find user by Google ID
     let { data: user } = await supabase
@@ -56,38 +98,88 @@ export default async function handler(req, res) {
         .from('users')
         .select('*')
         .eq('email', googleEmail)
-        .single();
-
-      if (!emailUser || !emailUser.verified) {
-        return res.status(403).send('Account not verified or not approved');
+        .maybeSingle();
+
+      if (emailUser) {
+        if (!emailUser.verified) {
+          return res.status(403).send('Account not verified or not approved');
+        }
+
+        // Link Google account
+        await supabase
+          .from('users')
+          .update({ google_id: googleId, google_email: googleEmail, google_linked: true })
+          .eq('email', googleEmail);
+
+        user = emailUser;
+      } else {
+        // First-time Google user: Google's verified email counts as verified
+        if (profile.verified_email !== true) {
+          return res.status(403).send('Account not verified or not approved');
+        }
+
+        const { data: newUser, error: insertError } = await supabase
+          .from('users')
+          .insert({
+            email: googleEmail,
+            google_id: googleId,
+            google_email: googleEmail,
+            google_linked: true,
+            verified: true,
+            completed_profile: false, // stays false until they pick a username
+            profile_picture: profile.picture || null,
+            created_at: new Date().toISOString()
+          })
+          .select('*')
+          .single();
+
+        if (insertError) {
+          console.error('Google sign-up failed:', insertError);
+          return res.status(500).send('Failed to create account');
+        }
+
+        user = newUser;
       }
+    }
 
-      // Link Google account
-      await supabase
-        .from('users')
-        .update({ google_id: googleId, google_email: googleEmail, google_linked: true })
-        .eq('email', googleEmail);
+    if (user.suspended) {
+      return res.status(403).send(user.suspension_reason || 'Account suspended. Please contact support.');
+    }
 
-      user = emailUser;
+    if (user.is_honeytoken) {
+      await recordSecurityEvent(supabase, req, {
+        type: SECURITY_EVENTS.HONEYTOKEN_LOGIN,
+        email: user.email,
+        userId: user.id,
+        details: { method: 'google' }
+      });
+      return res.status(403).send('Account not verified or not approved');
     }
 
-    // Create session
-    const session_token = uuidv4();
+    await supabase
+      .from('users')
+      .update({
+        last_login: new Date().toISOString(),
+        online: true
+      })
+      .eq('id', user.id);
+
+    // Create session exactly like password login does
     const expiresInDays = 7;
+    const { session_token, error: sessionError, blocked } = await createSession(supabase, req, user, expiresInDays);
 
-    await supabase.from('sessions').insert({
-      user_email: user.email,
-      session_token,
-      expires_at: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
-    });
+    if (blocked) {
+      return blocked.redirect ? res.redirect(blocked.redirect) : res.status(blocked.status).send(blocked.error);
+    }
+
+    if (sessionError) {
+      return res.status(500).send('Failed to create session');
+    }
 
     // Set cookie and redirect
-    res.setHeader(
-      'Set-Cookie',
-      `session_token=${session_token}; Path=/; Max-Age=${expiresInDays * 24 * 60 * 60}; SameSite=Lax`
-    );
+    res.setHeader('Set-Cookie', [sessionCookie(session_token, expiresInDays), clearOAuthCookie]);
 
-    return res.redirect('/index.html');
+    return res.redirect(safeReturnTo(oauth.return_to));
   } catch (err) {
     console.error('Google callback error:', err);
     return res.status(500).send('Internal server error');
@@ -1,4 +1,9 @@
 // /api/googleRedirect.js
+import crypto from 'crypto';
+import { signPayload, safeReturnTo, GOOGLE_OAUTH_COOKIE } from './authUtils.js';
+
+const OAUTH_TTL_SECONDS = 10 * 60; // 10 minutes to finish the Google consent screen
+
 export default function handler(req, res) {
   try {
     // 1️⃣ Get Google Client ID and your site URL from environment
@@ -11,17 +16,42 @@ export default function handler(req, res) {
     // 2️⃣ OAuth scopes
     const scope = encodeURIComponent('openid email profile');
 
-    // 3️⃣ Build auth URL
+    // 3️⃣ CSRF state and PKCE verifier, kept in a short-lived signed cookie
+    const state = crypto.randomBytes(32).toString('base64url');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    const oauthCookie = signPayload({
+      state,
+      code_verifier: codeVerifier,
+      return_to: safeReturnTo(req.query?.returnTo),
+      expires_at: Date.now() + OAUTH_TTL_SECONDS * 1000
+    });
+
+    // SameSite=Lax so the cookie survives the top-level redirect back from Google
+    res.setHeader('Set-Cookie', [
+      `${GOOGLE_OAUTH_COOKIE}=${oauthCookie}`,
+      'Path=/',
+      'HttpOnly',
+      'Secure',
+      `Max-Age=${OAUTH_TTL_SECONDS}`,
+      'SameSite=Lax'
+    ].join('; '));
+
+    // 4️⃣ Build auth URL
     const authUrl =
       `https://accounts.google.com/o/oauth2/v2/auth` +
       `?client_id=${clientId}` +
       `&redirect_uri=${encodeURIComponent(redirectUri)}` +
       `&response_type=code` +
       `&scope=${scope}` +
+      `&state=${state}` +
+      `&code_challenge=${codeChallenge}` +
+      `&code_challenge_method=S256` +
       `&prompt=consent` +
       `&access_type=offline`;
 
-    // 4️⃣ Redirect user to Google OAuth
+    // 5️⃣ Redirect user to Google OAuth
     return res.redirect(authUrl);
 
   } catch (err) {
@@ -1,6 +1,9 @@
 // pages/api/like-video.js (WITH REAL-TIME SUPPORT & COMMENT LIKES)
 import { createClient } from '@supabase/supabase-js';
 import cookie from 'cookie';
+import { checkRateLimit } from './rateLimit.js';
+import { authenticateApiToken } from './patUtils.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from './securityEvents.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -23,51 +26,69 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Verify session
-    const cookies = cookie.parse(req.headers.cookie || '');
-    const sessionToken = cookies['__Host-session_secure'] || cookies.session_secure;
+    // Authenticate: personal access token or session cookie
+    let user;
+    const tokenAuth = await authenticateApiToken(supabase, req, 'videos:write');
 
-    console.log('🔍 Like request - Session token found:', !!sessionToken);
-
-    if (!sessionToken) {
-      return res.status(401).json({ success: false, error: 'Not authenticated' });
-    }
+    if (tokenAuth) {
+      if (tokenAuth.error) {
+        return res.status(tokenAuth.status).json({ success: false, error: tokenAuth.error });
+      }
+      user = tokenAuth.user;
+    } else {
+      const cookies = cookie.parse(req.headers.cookie || '');
+      const sessionToken = cookies['__Host-session_secure'] || cookies.session_secure;
 
-    // Get session with user_email
-    const { data: session, error: sessionError } = await supabase
-      .from('sessions')
-      .select('user_email, expires_at')
-      .eq('session_token', sessionToken)
-      .maybeSingle();
+      console.log('🔍 Like request - Session token found:', !!sessionToken);
 
-    if (sessionError || !session) {
-      console.error('Session error:', sessionError);
-      return res.status(401).json({ success: false, error: 'Session expired or invalid' });
-    }
+      if (!sessionToken) {
+        return res.status(401).json({ success: false, error: 'Not authenticated' });
+      }
 
-    // Check if session is expired
-    if (new Date(session.expires_at) < new Date()) {
-      await supabase
+      // Get session with user_email
+      const { data: session, error: sessionError } = await supabase
         .from('sessions')
-        .delete()
-        .eq('session_token', sessionToken);
-      return res.status(401).json({ success: false, error: 'Session expired' });
-    }
+        .select('user_email, expires_at')
+        .eq('session_token', sessionToken)
+        .maybeSingle();
 
-    // Get user by email
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('id, email, username')
-      .eq('email', session.user_email)
-      .maybeSingle();
+      if (sessionError || !session) {
+        console.error('Session error:', sessionError);
+        return res.status(401).json({ success: false, error: 'Session expired or invalid' });
+      }
+
+      // Check if session is expired
+      if (new Date(session.expires_at) < new Date()) {
+        await supabase
+          .from('sessions')
+          .delete()
+          .eq('session_token', sessionToken);
+        return res.status(401).json({ success: false, error: 'Session expired' });
+      }
 
-    if (userError || !user) {
-      return res.status(401).json({ success: false, error: 'User not found' });
+      // Get user by email
+      const { data: sessionUser, error: userError } = await supabase
+        .from('users')
+        .select('id, email, username')
+        .eq('email', session.user_email)
+        .maybeSingle();
+
+      if (userError || !sessionUser) {
+        return res.status(401).json({ success: false, error: 'User not found' });
+      }
+
+      user = sessionUser;
     }
 
     const userEmail = user.email;
     const userId = user.id;
 
+    const { allowed } = await checkRateLimit(res, 'like', userId);
+    if (!allowed) {
+      await recordSecurityEvent(supabase, req, { type: SECURITY_EVENTS.RATE_LIMITED, userId, details: { policy: 'like' } });
+      return res.status(429).json({ success: false, error: 'Too many like requests. Please slow down.' });
+    }
+
     // Determine target type: video or comment
     const { videoId, commentId, action } = req.body; // action: 'like' or 'unlike'
 
@@ -98,11 +119,12 @@ export default async function handler(req, res) {
     // Verify target exists and get owner info
     const { data: target, error: targetError } = await supabase
       .from(targetTable)
-      .select(`id, ${ownerField}, ${titleField}`)
+      .select(`id, ${ownerField}, ${titleField}${targetType === 'video' ? ', deleted_at' : ''}`)
       .eq('id', targetId)
       .maybeSingle();
 
-    if (targetError || !target) {
+    // Videos in the owner's trash behave as deleted
+    if (targetError || !target || target.deleted_at) {
       console.error(`${targetType} error:`, targetError);
       return res.status(404).json({ success: false, error: `${targetType} not found` });
     }
@@ -1,8 +1,19 @@
 import { createClient } from '@supabase/supabase-js';
 import bcrypt from 'bcrypt';
-import { v4 as uuidv4 } from 'uuid';
-import crypto from 'crypto';
-import nodemailer from 'nodemailer';
+import {
+  verifyCaptcha,
+  passwordStrongEnough,
+  getClientIp,
+  createSession,
+  getLoginBlock,
+  headerFingerprint,
+  sessionCookie,
+  normalizeEmail
+} from './authUtils.js';
+import { consumeSecondFactor } from './totpUtils.js';
+import { checkRateLimit, logAttempt } from './rateLimit.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from './securityEvents.js';
+import { sendMail, pickLocale } from './mailer.js';
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -15,128 +26,46 @@ const supabase = createClient(
   }
 );
 
-// Nodemailer transporter
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
-  }
-});
-
-// Rate limiting functions (simplified for Vercel)
-const rateLimitCache = new Map();
+// Per-account lockout, on top of the per-IP+email rate limit
+const LOCKOUT_THRESHOLD = 10;
+const LOCKOUT_MS = 30 * 60 * 1000; // 30 minutes
 
-async function checkRateLimit(key) {
-  const now = Date.now();
-  const windowMs = 15 * 60 * 1000; // 15 minutes
-  const maxAttempts = 5;
-  
-  const attempts = rateLimitCache.get(key) || [];
-  const recentAttempts = attempts.filter(time => now - time < windowMs);
-  
-  if (recentAttempts.length >= maxAttempts) {
-    return false;
-  }
-  
-  recentAttempts.push(now);
-  rateLimitCache.set(key, recentAttempts);
-  return true;
+function isLocked(user) {
+  return !!user.locked_until && new Date(user.locked_until) > new Date();
 }
 
-async function logAttempt(key) {
-  const attempts = rateLimitCache.get(key) || [];
-  attempts.push(Date.now());
-  rateLimitCache.set(key, attempts);
-}
+// Count a wrong password against the account and lock it once the threshold is hit
+async function registerFailedLogin(user) {
+  if (isLocked(user)) return;
 
-// Verify CAPTCHA
-async function verifyCaptcha(token, ip) {
-  if (!token) return false;
-  const secret = process.env.CAPTCHA_SECRET_KEY;
+  const failedCount = (user.failed_login_count || 0) + 1;
+  const updates = failedCount >= LOCKOUT_THRESHOLD
+    ? { failed_login_count: 0, locked_until: new Date(Date.now() + LOCKOUT_MS).toISOString() }
+    : { failed_login_count: failedCount };
 
-  try {
-    const res = await fetch('https://hcaptcha.com/siteverify', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: `secret=${secret}&response=${token}&remoteip=${ip}`
-    });
+  const { error } = await supabase
+    .from('users')
+    .update(updates)
+    .eq('id', user.id);
 
-    const data = await res.json();
-    return data.success === true;
-  } catch (err) {
-    console.error('CAPTCHA ERROR:', err);
-    return false;
+  if (error) {
+    console.error('Failed to record failed login:', error);
+  } else if (updates.locked_until) {
+    console.warn(`Account locked after ${LOCKOUT_THRESHOLD} failed logins: ${user.email}`);
   }
 }
 
-// Device fingerprint hash
-function getDeviceFingerprint(headers, frontendFingerprint) {
-  const source = frontendFingerprint || 
-    (headers['user-agent'] || '') + 
-    (headers['accept-language'] || '') + 
-    (headers['x-forwarded-for'] || '') + 
-    uuidv4();
-  return crypto.createHash('sha256').update(source).digest('hex');
-}
-
 // Random delay (anti-bruteforce)
 async function randomDelay() {
   const delay = 500 + Math.random() * 1000;
   return new Promise(res => setTimeout(res, delay));
 }
 
-// AES-GCM encrypted session token
-function generateEncryptedToken() {
-  const iv = crypto.randomBytes(16);
-  const key = crypto.scryptSync(process.env.SESSION_SECRET || 'fallback-secret-key-32-bytes-long-here', 'salt', 32);
-  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv, { authTagLength: 16 });
-  const uuid = uuidv4();
-  const encrypted = cipher.update(uuid, 'utf8', 'hex') + cipher.final('hex');
-  const tag = cipher.getAuthTag().toString('hex');
-  return `${iv.toString('hex')}:${tag}:${encrypted}`;
-}
-
-// Send verification email
-async function sendVerificationEmail(email, code) {
-  try {
-    await transporter.sendMail({
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: 'Verify Your Login',
-      text: `Your verification code is: ${code}\nIt expires in 1 minute.`,
-      html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2>Login Verification Code</h2>
-        <p>Your verification code is: <strong style="font-size: 24px; letter-spacing: 5px;">${code}</strong></p>
-        <p>This code will expire in <strong>1 minute</strong>.</p>
-        <p>If you didn't request this code, please ignore this email.</p>
-        <hr style="border: 1px solid #eee; margin: 20px 0;">
-        <p style="color: #666; font-size: 12px;">This is an automated message, please do not reply.</p>
-      </div>`
-    });
-    return true;
-  } catch (err) {
-    console.error('EMAIL ERROR:', err);
-    return false;
-  }
-}
-
 // Generate 6-digit verification code
 function generateVerificationCode() {
   return Math.floor(100000 + Math.random() * 900000).toString();
 }
 
-// Strong password check
-function passwordStrongEnough(password) {
-  return (
-    password.length >= 8 &&
-    /[A-Z]/.test(password) &&
-    /[a-z]/.test(password) &&
-    /\d/.test(password) &&
-    /[!@#$%^&*]/.test(password)
-  );
-}
-
 // ----------------- MAIN HANDLER -----------------
 export default async function handler(req, res) {
   // Set CORS headers for Vercel
@@ -167,20 +96,22 @@ export default async function handler(req, res) {
     }
 
     const {
-      email,
       password,
       remember_me,
       captcha_token,
       google,
-      fingerprint,
-      verification_code
+      verification_code,
+      verification_method = 'email' // 'email' | 'totp' | 'recovery'
     } = body;
+    const email = normalizeEmail(body.email);
 
     if (!email || !password) {
       return res.status(400).json({ success: false, error: 'Email and password are required' });
     }
 
-    const ip = req.headers['x-forwarded-for'] || req.headers['client-ip'] || req.socket?.remoteAddress || 'unknown';
+    const ip = getClientIp(req);
+    // Derived the same way for every login method, so switching methods isn't a "new device"
+    const deviceFingerprint = headerFingerprint(req);
 
     // Google login - update path for Vercel
     if (google) {
@@ -191,8 +122,14 @@ export default async function handler(req, res) {
     }
 
     // Rate limit check
-    const allowed = await checkRateLimit(ip + email);
+    const { allowed } = await checkRateLimit(res, 'login', ip + email);
     if (!allowed) {
+      await recordSecurityEvent(supabase, req, {
+        type: SECURITY_EVENTS.RATE_LIMITED,
+        email,
+        fingerprint: deviceFingerprint,
+        details: { policy: 'login' }
+      });
       return res.status(429).json({ 
         success: false, 
         error: 'Too many login attempts. Please try again in 15 minutes.' 
@@ -202,13 +139,13 @@ export default async function handler(req, res) {
     // Fetch user from Supabase - select specific columns
     const { data: user, error: userError } = await supabase
       .from('users')
-      .select('id, email, username, verified, suspended, suspension_reason, is_honeytoken, limited_account, spam_score, last_login, password, encrypted_password, profile_picture, completed_profile')
+      .select('id, email, username, verified, suspended, suspension_reason, is_honeytoken, limited_account, spam_score, last_login, password, encrypted_password, profile_picture, completed_profile, totp_enabled, totp_secret, totp_last_step, totp_recovery_codes, failed_login_count, locked_until, password_reset_required')
       .eq('email', email)
       .maybeSingle();
 
     if (userError) {
       console.error('Supabase fetch error:', userError);
-      await logAttempt(ip + email);
+      await logAttempt('login', ip + email);
       await randomDelay();
       return res.status(500).json({ 
         success: false, 
@@ -216,6 +153,17 @@ export default async function handler(req, res) {
       });
     }
 
+    // A locked account answers the same whatever the password, and the password
+    // isn't even checked, so guessing during the lockout learns nothing
+    if (user && isLocked(user)) {
+      await logAttempt('login', ip + email);
+      await randomDelay();
+      return res.status(423).json({
+        success: false,
+        error: 'Account temporarily locked after too many failed attempts. Please try again later or reset your password.'
+      });
+    }
+
     // Handle password verification securely
     let passwordValid = false;
     if (user) {
@@ -232,7 +180,11 @@ export default async function handler(req, res) {
       const dummyHash = '$2b$12$C6UzMDM.H6dfI/f/IKcEeO';
       await bcrypt.compare(password, dummyHash);
       
-      await logAttempt(ip + email);
+      if (user) {
+        await registerFailedLogin(user);
+      }
+      
+      await logAttempt('login', ip + email);
       await randomDelay();
       return res.status(401).json({ 
         success: false, 
@@ -240,6 +192,13 @@ export default async function handler(req, res) {
       });
     }
 
+    // A required password reset is only revealed once the password is right.
+    // createSession checks again; this just avoids mailing a code to a blocked account.
+    const blocked = await getLoginBlock(supabase, user.id);
+    if (blocked) {
+      return res.status(blocked.status).json({ success: false, error: blocked.error, redirect: blocked.redirect });
+    }
+
     // Check user status
     if (user.suspended) {
       return res.status(403).json({ 
@@ -249,8 +208,13 @@ export default async function handler(req, res) {
     }
 
     if (user.is_honeytoken) {
-      console.warn(`Honeytoken access attempt detected: ${email} from ${ip}`);
-      await logAttempt(ip + email);
+      await recordSecurityEvent(supabase, req, {
+        type: SECURITY_EVENTS.HONEYTOKEN_LOGIN,
+        email,
+        userId: user.id,
+        fingerprint: deviceFingerprint
+      });
+      await logAttempt('login', ip + email);
       await randomDelay();
       return res.status(401).json({ 
         success: false, 
@@ -273,13 +237,17 @@ export default async function handler(req, res) {
       });
     }
 
-    const deviceFingerprint = getDeviceFingerprint(req.headers, fingerprint);
-
-    // CAPTCHA check for first login attempt
+    // CAPTCHA check for first login attempt; the second step must follow one that passed it
     if (!verification_code) {
       const captchaOk = await verifyCaptcha(captcha_token, ip);
       if (!captchaOk) {
-        await logAttempt(ip + email);
+        await logAttempt('login', ip + email);
+        await recordSecurityEvent(supabase, req, {
+          type: SECURITY_EVENTS.CAPTCHA_FAILED,
+          email,
+          userId: user.id,
+          fingerprint: deviceFingerprint
+        });
         await randomDelay();
         return res.status(403).json({ 
           success: false, 
@@ -313,7 +281,12 @@ export default async function handler(req, res) {
       }
 
       // Send email
-      const emailSent = await sendVerificationEmail(email, code);
+      const emailSent = await sendMail({
+        to: email,
+        template: 'login_code',
+        locale: pickLocale(req),
+        data: { code }
+      });
       if (!emailSent) {
         return res.status(500).json({ 
           success: false, 
@@ -324,12 +297,16 @@ export default async function handler(req, res) {
       return res.status(200).json({
         success: true,
         verification_required: true,
-        message: 'Verification code sent to your email. It expires in 1 minute.',
-        email_sent: true
+        message: user.totp_enabled
+          ? 'Within 1 minute, enter the code from your authenticator app or the code sent to your email.'
+          : 'Verification code sent to your email. It expires in 1 minute.',
+        email_sent: true,
+        totp_available: !!user.totp_enabled
       });
     }
 
-    // Verify email code
+    // The second step only counts for a login whose first step passed the password and
+    // CAPTCHA checks moments ago; the pending_verifications row it created is the proof
     const { data: pending, error: pendingError } = await supabase
       .from('pending_verifications')
       .select('*')
@@ -345,28 +322,48 @@ export default async function handler(req, res) {
       });
     }
 
-    if (!pending || pending.code !== verification_code) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Invalid verification code' 
-      });
-    }
-
-    // Check expiration
-    if (new Date(pending.expires_at) < new Date()) {
+    if (!pending || new Date(pending.expires_at) < new Date()) {
       // Clean up expired code
       await supabase
         .from('pending_verifications')
         .delete()
         .eq('email', email)
         .eq('fingerprint', deviceFingerprint);
-        
+      
       return res.status(401).json({ 
         success: false, 
         error: 'Verification code has expired. Please request a new one.' 
       });
     }
 
+    const usesAuthenticator = verification_method === 'totp' || verification_method === 'recovery';
+
+    // Authenticator app / recovery code instead of the emailed code
+    const factorOk = usesAuthenticator
+      ? await consumeSecondFactor(supabase, user, verification_method, verification_code)
+      : pending.code === verification_code;
+
+    if (!factorOk) {
+      // Wrong codes count toward the account lockout just like wrong passwords
+      await registerFailedLogin(user);
+      await logAttempt('login', ip + email);
+      await recordSecurityEvent(supabase, req, {
+        type: SECURITY_EVENTS.BAD_VERIFICATION_CODE,
+        email,
+        userId: user.id,
+        fingerprint: deviceFingerprint,
+        details: { method: usesAuthenticator ? verification_method : 'email' }
+      });
+      await randomDelay();
+
+      return res.status(401).json({ 
+        success: false, 
+        error: !usesAuthenticator
+          ? 'Invalid verification code'
+          : verification_method === 'recovery' ? 'Invalid recovery code' : 'Invalid authenticator code'
+      });
+    }
+
     // Clean up verification code
     await supabase
       .from('pending_verifications')
@@ -380,7 +377,9 @@ export default async function handler(req, res) {
       .update({ 
         last_fingerprint: deviceFingerprint,
         last_login: new Date().toISOString(),
-        online: true
+        online: true,
+        failed_login_count: 0,
+        locked_until: null
       })
       .eq('id', user.id);
 
@@ -388,65 +387,23 @@ export default async function handler(req, res) {
       console.error('Failed to update user:', updateError);
     }
 
-    // Create session token
-    const session_token = generateEncryptedToken();
+    // Create session token and record
     const expiresInDays = remember_me ? 90 : 1;
-    const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
-
-    // Create session record - handle potential foreign key issues
-    const sessionData = {
-      user_id: user.id,
-      user_email: email,
-      session_token,
-      expires_at: expiresAt.toISOString(),
-      verified: true,
-      context: {
-        ip,
-        user_agent: req.headers['user-agent'],
-        timestamp: new Date().toISOString()
-      }
-    };
+    const { session_token, expiresAt, error: sessionError, blocked: sessionBlocked } = await createSession(supabase, req, user, expiresInDays);
 
-    const { error: sessionError } = await supabase
-      .from('sessions')
-      .insert(sessionData);
+    if (sessionBlocked) {
+      return res.status(sessionBlocked.status).json({ success: false, error: sessionBlocked.error, redirect: sessionBlocked.redirect });
+    }
 
     if (sessionError) {
-      console.error('Session insert failed:', sessionError);
-      
-      // If foreign key error, try without user_id
-      if (sessionError.message.includes('foreign key constraint')) {
-        delete sessionData.user_id;
-        const { error: retryError } = await supabase
-          .from('sessions')
-          .insert(sessionData);
-          
-        if (retryError) {
-          console.error('Retry session insert failed:', retryError);
-          return res.status(500).json({ 
-            success: false, 
-            error: 'Failed to create session. Please try again.' 
-          });
-        }
-      } else {
-        return res.status(500).json({ 
-          success: false, 
-          error: 'Failed to create session' 
-        });
-      }
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Failed to create session. Please try again.' 
+      });
     }
 
     // Set secure cookie for Vercel
-    const cookieOptions = [
-      `__Host-session_secure=${session_token}`,
-      'Path=/',
-      'HttpOnly',
-      'Secure',
-      `Max-Age=${expiresInDays * 24 * 60 * 60}`,
-      'SameSite=Strict'
-    ].join('; ');
-
-    res.setHeader('Set-Cookie', cookieOptions);
+    res.setHeader('Set-Cookie', sessionCookie(session_token, expiresInDays));
 
     return res.status(200).json({
       success: true,
@@ -0,0 +1,144 @@
+import nodemailer from 'nodemailer';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { templates, DEFAULT_LOCALE } from './emailTemplates.js';
+
+/**
+ * Pick the transport from MAIL_TRANSPORT:
+ *   gmail  - EMAIL_USER / EMAIL_PASS (the original setup)
+ *   smtp   - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ *   outbox - writes each message as JSON to MAIL_OUTBOX_DIR, for local dev and tests
+ * Without MAIL_TRANSPORT we use gmail when credentials exist, otherwise the outbox -
+ * except in production, where silently not delivering mail is a configuration error.
+ */
+function createTransport() {
+  let kind = process.env.MAIL_TRANSPORT || (process.env.EMAIL_USER ? 'gmail' : null);
+
+  if (!kind) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('Mail is not configured: set MAIL_TRANSPORT=smtp with SMTP_* or EMAIL_USER/EMAIL_PASS for gmail');
+    }
+    kind = 'outbox';
+  }
+
+  switch (kind) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT || 587),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+
+    case 'outbox':
+      return nodemailer.createTransport({ jsonTransport: true });
+
+    case 'gmail':
+    default:
+      return nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS
+        }
+      });
+  }
+}
+
+// Created on first send, so a misconfigured deploy fails the send rather than every import
+let transport = null;
+
+function getTransport() {
+  if (!transport) transport = createTransport();
+  return transport;
+}
+
+/**
+ * Swap the transport, e.g. a stub in tests
+ * @param {{ sendMail: Function }} newTransport
+ */
+export function setMailTransport(newTransport) {
+  transport = newTransport;
+}
+
+export function getOutboxDir() {
+  return process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'vibro-outbox');
+}
+
+// jsonTransport hands back the serialized message; persist it so it can be inspected
+async function writeToOutbox(info) {
+  const dir = getOutboxDir();
+  await fs.mkdir(dir, { recursive: true });
+  const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^a-z0-9]/gi, '_')}.json`);
+  await fs.writeFile(file, info.message);
+  console.log(`📭 Email written to outbox: ${file}`);
+}
+
+/**
+ * Choose the best template locale from an explicit preference, then Accept-Language
+ * @param {import('http').IncomingMessage} [req]
+ * @param {string} [preferred] e.g. users.locale
+ * @returns {string}
+ */
+export function pickLocale(req, preferred) {
+  const candidates = [
+    preferred,
+    ...(req?.headers?.['accept-language'] || '')
+      .split(',')
+      .map(part => part.split(';')[0].trim())
+  ].filter(Boolean);
+
+  for (const candidate of candidates) {
+    const base = candidate.toLowerCase().split('-')[0];
+    if (templates.login_code[base]) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Render a named template
+ * @param {keyof templates} name
+ * @param {string} locale
+ * @param {object} data
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderTemplate(name, locale, data) {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+
+  const variant = template[locale] || template[DEFAULT_LOCALE];
+  return {
+    subject: variant.subject(data),
+    text: variant.text(data),
+    html: variant.html(data)
+  };
+}
+
+/**
+ * Render and send a templated email
+ * @param {{ to: string, template: string, locale?: string, data?: object }} message
+ * @returns {Promise<boolean>}
+ */
+export async function sendMail({ to, template, locale = DEFAULT_LOCALE, data = {} }) {
+  try {
+    const { subject, text, html } = renderTemplate(template, locale, data);
+    const info = await getTransport().sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@vibro.local',
+      to,
+      subject,
+      text,
+      html
+    });
+
+    if (typeof info?.message === 'string' && info.messageId) {
+      await writeToOutbox(info);
+    }
+    return true;
+  } catch (err) {
+    console.error('EMAIL ERROR:', err);
+    return false;
+  }
+}
@@ -0,0 +1,332 @@
+// pages/api/manage-video.js - owner-only editing, trash/restore and permanent deletion of videos
+//
+//   GET                              -> videos in the trash
+//   PATCH  ?id=  (multipart or JSON) -> update title, description, tags, category, privacy, settings,
+//                                       publish_status/publish_at, cover
+//   DELETE ?id=[&permanent=true]     -> move to the trash (or delete right away)
+//   POST   ?id=&action=restore       -> take a video back out of the trash
+import { createClient } from '@supabase/supabase-js';
+import { getSessionUser } from './authUtils.js';
+import { authenticateApiToken } from './patUtils.js';
+import { deleteVideoAndAssets, storagePathFromUrl, parseTags, parseFormWithFile, resolvePublishState, isPublished, VIDEO_PRIVACY, VIDEO_TRASH_DAYS } from './videoUtils.js';
+import { sniffUpload, probeImage, SNIFF_BYTES } from './fileValidation.js';
+import { parseChapters } from './chapters.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_COVER_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Form settings (same names upload-video.js reads) -> videos columns
+const SETTING_COLUMNS = {
+  allowComments: 'allow_comments',
+  allowRatings: 'allow_ratings',
+  showViewCount: 'show_view_count',
+  aiGenerated: 'ai_generated'
+};
+
+const VIDEO_COLUMNS = 'id, user_id, title, description, tags, category, privacy, video_url, cover_url, thumbnail_candidates, duration, allow_comments, allow_ratings, show_view_count, ai_generated, publish_status, publish_at, published_at, deleted_at, created_at, updated_at';
+
+export const config = {
+  api: {
+    bodyParser: false, // PATCH may carry a cover image
+  },
+};
+
+function purgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + VIDEO_TRASH_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Turn submitted fields into a `videos` update, validating as we go
+ * @returns {{ updates?: object, error?: string }}
+ */
+function buildVideoUpdates(fields, video) {
+  const updates = {};
+
+  if (fields.title !== undefined) {
+    const title = String(fields.title).trim();
+    if (title.length < 3) return { error: 'Title must be at least 3 characters' };
+    updates.title = title;
+  }
+
+  if (fields.description !== undefined) {
+    updates.description = String(fields.description).trim() || null;
+  }
+
+  if (fields.tags !== undefined) {
+    updates.tags = parseTags(fields.tags);
+  }
+
+  if (fields.category !== undefined) {
+    updates.category = String(fields.category).trim() || 'other';
+  }
+
+  if (fields.privacy !== undefined) {
+    if (!VIDEO_PRIVACY.includes(fields.privacy)) {
+      return { error: `privacy must be one of: ${VIDEO_PRIVACY.join(', ')}` };
+    }
+    updates.privacy = fields.privacy;
+  }
+
+  if (fields.publish_status !== undefined || fields.publish_at !== undefined) {
+    const { state, error } = resolvePublishState({
+      publish_status: fields.publish_status ?? (isPublished(video) ? 'published' : video.publish_status),
+      publish_at: fields.publish_at ?? video.publish_at
+    });
+    if (error) return { error };
+
+    // Already live: keep the original publish time (older videos only have created_at)
+    if (state.publish_status === 'published' && isPublished(video)) {
+      state.published_at = video.published_at || video.created_at;
+    }
+    Object.assign(updates, state);
+  }
+
+  if (fields.settings !== undefined) {
+    let settings = fields.settings;
+    if (typeof settings === 'string') {
+      try {
+        settings = JSON.parse(settings);
+      } catch (e) {
+        return { error: 'settings must be valid JSON' };
+      }
+    }
+
+    for (const [key, column] of Object.entries(SETTING_COLUMNS)) {
+      if (typeof settings?.[key] === 'boolean') {
+        updates[column] = settings[key];
+      }
+    }
+  }
+
+  return { updates };
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers for Vercel
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    let user;
+    const tokenAuth = await authenticateApiToken(
+      supabase,
+      req,
+      req.method === 'GET' ? 'videos:read' : 'videos:write'
+    );
+
+    if (tokenAuth) {
+      if (tokenAuth.error) {
+        return res.status(tokenAuth.status).json({ success: false, error: tokenAuth.error });
+      }
+      user = tokenAuth.user;
+    } else {
+      const auth = await getSessionUser(supabase, req);
+      if (!auth) {
+        return res.status(401).json({ success: false, error: 'Not authenticated' });
+      }
+      user = auth.user;
+    }
+
+    // ========== TRASH LISTING ==========
+    if (req.method === 'GET') {
+      const { data: videos, error } = await supabase
+        .from('videos')
+        .select('id, title, cover_url, duration, deleted_at')
+        .eq('user_id', user.id)
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false });
+
+      if (error) {
+        console.error('Trash fetch error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to load trash' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        retention_days: VIDEO_TRASH_DAYS,
+        videos: (videos || []).map(video => ({
+          ...video,
+          purge_at: purgeDate(video.deleted_at).toISOString()
+        }))
+      });
+    }
+
+    const { id: videoId, action } = req.query;
+    if (!videoId) {
+      return res.status(400).json({ success: false, error: 'id required' });
+    }
+
+    const { data: video } = await supabase
+      .from('videos')
+      .select(VIDEO_COLUMNS)
+      .eq('id', videoId)
+      .maybeSingle();
+
+    // Same answer for "missing" and "not yours" so ids can't be probed
+    if (!video || video.user_id !== user.id) {
+      return res.status(404).json({ success: false, error: 'Video not found' });
+    }
+
+    // ========== DELETE ==========
+    if (req.method === 'DELETE') {
+      if (req.query.permanent === 'true') {
+        const { error } = await deleteVideoAndAssets(supabase, video);
+        if (error) {
+          return res.status(500).json({ success: false, error: 'Failed to delete video' });
+        }
+
+        console.log(`🗑️ Video permanently deleted by owner: ${video.id}`);
+        return res.status(200).json({ success: true, deleted: true });
+      }
+
+      const deletedAt = video.deleted_at || new Date().toISOString();
+
+      if (!video.deleted_at) {
+        const { error } = await supabase
+          .from('videos')
+          .update({ deleted_at: deletedAt })
+          .eq('id', video.id);
+
+        if (error) {
+          console.error('Video trash error:', error);
+          return res.status(500).json({ success: false, error: 'Failed to move video to trash' });
+        }
+      }
+
+      return res.status(200).json({
+        success: true,
+        trashed: true,
+        purge_at: purgeDate(deletedAt).toISOString()
+      });
+    }
+
+    // ========== RESTORE ==========
+    if (req.method === 'POST') {
+      if (action !== 'restore') {
+        return res.status(400).json({ success: false, error: 'Unknown action' });
+      }
+
+      if (!video.deleted_at) {
+        return res.status(400).json({ success: false, error: 'Video is not in the trash' });
+      }
+
+      // The purge job may not have run yet, but the window is what we promised
+      if (purgeDate(video.deleted_at) < new Date()) {
+        return res.status(410).json({ success: false, error: 'The restore window for this video has passed' });
+      }
+
+      const { error } = await supabase
+        .from('videos')
+        .update({ deleted_at: null })
+        .eq('id', video.id);
+
+      if (error) {
+        console.error('Video restore error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to restore video' });
+      }
+
+      return res.status(200).json({ success: true, restored: true });
+    }
+
+    // ========== UPDATE ==========
+    if (video.deleted_at) {
+      return res.status(409).json({ success: false, error: 'Restore the video before editing it' });
+    }
+
+    const form = await parseFormWithFile(req, 'cover', MAX_COVER_SIZE);
+    if (form.invalid) {
+      return res.status(400).json({ success: false, error: 'Invalid JSON body' });
+    }
+
+    const { updates, error: fieldError } = buildVideoUpdates(form.fields, video);
+    if (fieldError) {
+      return res.status(400).json({ success: false, error: fieldError });
+    }
+
+    const cover = form.file;
+    let oldCoverPath = null;
+
+    if (cover && cover.buffer.length > 0) {
+      if (cover.truncated) {
+        return res.status(413).json({ success: false, error: 'Cover image exceeds the 10MB limit' });
+      }
+
+      const coverCheck = sniffUpload(cover.buffer.subarray(0, SNIFF_BYTES), cover, 'image');
+      const coverProbe = coverCheck.error ? coverCheck : await probeImage(cover.buffer, coverCheck.formatId);
+      if (coverProbe.error) {
+        return res.status(coverProbe.status).json({ success: false, error: `Cover image: ${coverProbe.error}`, code: coverProbe.code });
+      }
+
+      // New name each time so CDN-cached covers don't stick around
+      const coverName = `${user.id}/${video.id}_${Date.now()}.${coverCheck.format.extension}`;
+      const { error: coverUploadError } = await supabase.storage
+        .from('covers')
+        .upload(coverName, cover.buffer, {
+          contentType: coverCheck.format.mimeType,
+          cacheControl: 'public, max-age=31536000',
+        });
+
+      if (coverUploadError) {
+        console.error('Cover upload failed:', coverUploadError);
+        return res.status(500).json({ success: false, error: 'Failed to upload cover' });
+      }
+
+      updates.cover_url = supabase.storage.from('covers').getPublicUrl(coverName).data.publicUrl;
+
+      // Generated candidates stay so the owner can switch back to one of them
+      if (video.cover_url && !(video.thumbnail_candidates || []).includes(video.cover_url)) {
+        oldCoverPath = storagePathFromUrl(video.cover_url, 'covers');
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, error: 'Nothing to update' });
+    }
+
+    updates.updated_at = new Date().toISOString();
+
+    const { data: updated, error: updateError } = await supabase
+      .from('videos')
+      .update(updates)
+      .eq('id', video.id)
+      .select(VIDEO_COLUMNS)
+      .single();
+
+    if (updateError) {
+      console.error('Video update error:', updateError);
+      return res.status(500).json({ success: false, error: 'Failed to update video' });
+    }
+
+    if (oldCoverPath) {
+      const { error } = await supabase.storage.from('covers').remove([oldCoverPath]);
+      if (error) console.error('⚠️ Old cover removal failed:', error);
+    }
+
+    // Tell the owner when timestamps in the description didn't make valid chapters
+    const { chapters, error: chaptersError } = parseChapters(updated.description, updated.duration);
+
+    return res.status(200).json({ success: true, video: { ...updated, chapters }, chapters_error: chaptersError });
+
+  } catch (err) {
+    console.error('Manage video API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
@@ -216,6 +216,8 @@ export default async function handler(req, res) {
       google_linked: user.google_linked,
       fbx_avatar_ids: user.fbx_avatar_ids,
       suspended: user.suspended || false,
+      role: user.role || 'user',
+      deletion_scheduled_for: user.deletion_scheduled_for || null,
       video_count: user.video_count || 0,
       session_expires: session.expires_at
     };
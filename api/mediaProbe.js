@@ -0,0 +1,96 @@
+import { execFile } from 'child_process';
+import ffprobeStatic from 'ffprobe-static';
+
+const PROBE_TIMEOUT_MS = 30 * 1000;
+
+// Columns on `videos` filled from the probe; null when a value is unknown
+export const MEDIA_FIELDS = [
+  'duration',
+  'width',
+  'height',
+  'frame_rate',
+  'video_codec',
+  'audio_codec',
+  'bitrate',
+  'has_audio'
+];
+
+/**
+ * Run ffprobe against a file path or URL (only the container headers are read,
+ * so probing the public storage URL doesn't download the whole video)
+ * @param {string} input
+ * @returns {Promise<object>} ffprobe's JSON output (format + streams)
+ */
+export function runFfprobe(input) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      process.env.FFPROBE_PATH || ffprobeStatic.path,
+      ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', input],
+      { timeout: PROBE_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 },
+      (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`ffprobe failed: ${stderr || error.message}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(stdout));
+        } catch (e) {
+          reject(new Error('ffprobe returned invalid JSON'));
+        }
+      }
+    );
+  });
+}
+
+// "30000/1001" -> 29.97
+function parseFrameRate(rate) {
+  if (!rate) return null;
+  const [num, den] = rate.split('/').map(Number);
+  if (!num || !den) return null;
+  return Math.round((num / den) * 100) / 100;
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Reduce ffprobe output to the columns we store on `videos`
+ * @param {object} probe
+ */
+export function summarizeProbe(probe) {
+  const streams = probe.streams || [];
+  const format = probe.format || {};
+  const videoStream = streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+  const audioStream = streams.find(stream => stream.codec_type === 'audio');
+
+  const duration = toNumber(format.duration) ?? toNumber(videoStream?.duration);
+
+  return {
+    duration: duration ? Math.round(duration * 1000) / 1000 : null,
+    width: videoStream?.width || null,
+    height: videoStream?.height || null,
+    frame_rate: parseFrameRate(videoStream?.avg_frame_rate) ?? parseFrameRate(videoStream?.r_frame_rate),
+    video_codec: videoStream?.codec_name || null,
+    audio_codec: audioStream?.codec_name || null,
+    bitrate: toNumber(format.bit_rate) ? Math.round(Number(format.bit_rate)) : null,
+    has_audio: !!audioStream
+  };
+}
+
+/**
+ * Probe a stored video. Never throws: an unreadable file just gets empty media fields.
+ * @param {string} input file path or URL
+ * @returns {Promise<object>} MEDIA_FIELDS -> value
+ */
+export async function probeVideo(input) {
+  try {
+    const media = summarizeProbe(await runFfprobe(input));
+    console.log('🎞️ Probed video:', media);
+    return media;
+  } catch (err) {
+    console.error('⚠️ Media probe failed:', err.message);
+    return Object.fromEntries(MEDIA_FIELDS.map(field => [field, null]));
+  }
+}
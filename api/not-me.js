@@ -0,0 +1,108 @@
+// pages/api/not-me.js - "This wasn't me" link from new sign-in alerts
+//
+//   GET  ?token=  -> confirmation page (mail scanners and link prefetchers open links, so nothing changes here)
+//   POST token=   -> sign that device out, require a password reset and send the owner to pick a new one
+import { createClient } from '@supabase/supabase-js';
+import { hashToken, createPasswordResetToken, getClientIp, parseBody } from './authUtils.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const RESET_TTL_MS = 30 * 60 * 1000; // 30 minutes
+
+// Tokens come from generateOneTimeToken (64 hex chars); anything else can't match a row
+const TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+
+function confirmationPage(token) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Secure your Vibro account</title>
+</head>
+<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; padding: 0 16px;">
+  <h2>Wasn't you?</h2>
+  <p>Confirm below to sign that device out of your account. You will then be asked to choose a new password.</p>
+  <form method="POST" action="/api/not-me">
+    <input type="hidden" name="token" value="${token}">
+    <button type="submit" style="padding: 12px 24px; background: #ef4444; color: #fff; border: 0; border-radius: 6px; cursor: pointer;">Sign that device out</button>
+  </form>
+  <p style="color: #666; font-size: 12px;">If this sign-in was you, close this page. Nothing has been changed.</p>
+</body>
+</html>`;
+}
+
+async function findAlert(token) {
+  const { data: alert, error } = await supabase
+    .from('device_alerts')
+    .select('user_id, session_id, expires_at')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (error) throw error;
+  return alert && new Date(alert.expires_at) >= new Date() ? alert : null;
+}
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).send('Method not allowed');
+  }
+
+  try {
+    const token = req.method === 'GET' ? req.query.token : parseBody(req).token;
+    if (!token) return res.status(400).send('Missing token');
+
+    if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+      return res.status(400).send('This link is invalid or has expired');
+    }
+
+    const alert = await findAlert(token);
+    if (!alert) {
+      return res.status(400).send('This link is invalid or has expired');
+    }
+
+    if (req.method === 'GET') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-store');
+      res.setHeader('Referrer-Policy', 'no-referrer');
+      return res.status(200).send(confirmationPage(token));
+    }
+
+    await supabase
+      .from('device_alerts')
+      .delete()
+      .eq('token_hash', hashToken(token));
+
+    // Revoke the suspicious session
+    if (alert.session_id) {
+      await supabase
+        .from('sessions')
+        .delete()
+        .eq('id', alert.session_id);
+    }
+
+    // Block logins until the owner picks a new password
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({ password_reset_required: true })
+      .eq('id', alert.user_id);
+
+    if (updateError) {
+      console.error('Failed to flag password reset:', updateError);
+    }
+
+    const resetToken = await createPasswordResetToken(supabase, alert.user_id, getClientIp(req), RESET_TTL_MS);
+    if (!resetToken) {
+      return res.redirect(303, '/forgot-password.html');
+    }
+
+    return res.redirect(303, `/forgot-password.html?token=${resetToken}`);
+  } catch (err) {
+    console.error('Not-me error:', err);
+    return res.status(500).send('Internal server error');
+  }
+}
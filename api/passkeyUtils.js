@@ -0,0 +1,126 @@
+import {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} from '@simplewebauthn/server';
+
+/**
+ * Options for adding a passkey. The WebAuthn user handle is the user's id, so a
+ * login can be matched back to the account the passkey was made for.
+ * @param {{ rpName: string, rpID: string }} rp
+ * @param {{ id: string, email: string, username?: string }} user
+ * @param {{ credential_id: string, transports?: string[] }[]} [existing] passkeys the user already has
+ */
+export function passkeyRegistrationOptions({ rpName, rpID }, user, existing = []) {
+  return generateRegistrationOptions({
+    rpName,
+    rpID,
+    userName: user.email,
+    userDisplayName: user.username || user.email,
+    userID: Buffer.from(String(user.id)),
+    attestationType: 'none',
+    excludeCredentials: existing.map(cred => ({
+      id: cred.credential_id,
+      transports: cred.transports || undefined
+    })),
+    authenticatorSelection: {
+      residentKey: 'required',
+      userVerification: 'preferred'
+    }
+  });
+}
+
+/**
+ * Check a registration response against the challenge we issued
+ * @param {{ origin: string, rpID: string }} rp
+ * @param {object} response from navigator.credentials.create()
+ * @param {string} challenge
+ * @returns {Promise<{ passkey?: object, error?: string }>} `passkey` holds the `passkeys` columns to store
+ */
+export async function verifyPasskeyRegistration({ origin, rpID }, response, challenge) {
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: challenge,
+      expectedOrigin: origin,
+      expectedRPID: rpID
+    });
+  } catch (err) {
+    console.error('Passkey registration rejected:', err.message);
+    return { error: 'Passkey registration failed' };
+  }
+
+  if (!verification.verified) {
+    return { error: 'Passkey registration failed' };
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+  return {
+    passkey: {
+      credential_id: credential.id,
+      public_key: Buffer.from(credential.publicKey).toString('base64url'),
+      counter: credential.counter,
+      transports: credential.transports || response?.response?.transports || null,
+      device_type: credentialDeviceType,
+      backed_up: credentialBackedUp
+    }
+  };
+}
+
+/**
+ * Options for signing in with a discoverable passkey. User verification (PIN or
+ * biometric on the device) is required, because a passkey login stands in for
+ * both the password and the second factor.
+ * @param {{ rpID: string }} rp
+ */
+export function passkeyLoginOptions({ rpID }) {
+  return generateAuthenticationOptions({
+    rpID,
+    userVerification: 'required'
+  });
+}
+
+/**
+ * Check a login assertion against the challenge and the stored passkey. The
+ * assertion's user handle must be the passkey owner's id: a mismatch means the
+ * authenticator holds this credential for some other account.
+ * @param {{ origin: string, rpID: string }} rp
+ * @param {object} assertion from navigator.credentials.get()
+ * @param {string} challenge
+ * @param {{ credential_id: string, public_key: string, counter?: number, transports?: string[], user_id: string }} passkey
+ * @returns {Promise<{ newCounter?: number, error?: string }>}
+ */
+export async function verifyPasskeyLogin({ origin, rpID }, assertion, challenge, passkey) {
+  const userHandle = assertion?.response?.userHandle;
+  if (!userHandle || Buffer.from(userHandle, 'base64url').toString('utf8') !== String(passkey.user_id)) {
+    return { error: 'Passkey verification failed' };
+  }
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response: assertion,
+      expectedChallenge: challenge,
+      expectedOrigin: origin,
+      expectedRPID: rpID,
+      requireUserVerification: true,
+      credential: {
+        id: passkey.credential_id,
+        publicKey: Buffer.from(passkey.public_key, 'base64url'),
+        counter: passkey.counter || 0,
+        transports: passkey.transports || undefined
+      }
+    });
+  } catch (err) {
+    console.error('Passkey assertion rejected:', err.message);
+    return { error: 'Passkey verification failed' };
+  }
+
+  if (!verification.verified) {
+    return { error: 'Passkey verification failed' };
+  }
+
+  return { newCounter: verification.authenticationInfo.newCounter };
+}
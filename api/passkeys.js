@@ -0,0 +1,308 @@
+// pages/api/passkeys.js - WebAuthn registration + assertion ceremonies
+//
+// A passkey login satisfies two-factor authentication: the device is one factor and
+// the PIN or biometric it verifies (required at login) is the other, so accounts with
+// an authenticator app are not asked for a TOTP code on top.
+import { createClient } from '@supabase/supabase-js';
+import cookie from 'cookie';
+import {
+  getSessionUser,
+  createSession,
+  sessionCookie,
+  signPayload,
+  verifySignedPayload,
+  getBaseUrl,
+  parseBody
+} from './authUtils.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from './securityEvents.js';
+import {
+  passkeyRegistrationOptions,
+  verifyPasskeyRegistration,
+  passkeyLoginOptions,
+  verifyPasskeyLogin
+} from './passkeyUtils.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+  {
+    auth: {
+      persistSession: false
+    }
+  }
+);
+
+// The challenge lives in a signed cookie between the options and verify steps
+const CHALLENGE_COOKIE = '__Host-webauthn_challenge';
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+function getRelyingParty(req) {
+  const origin = process.env.WEBAUTHN_ORIGIN || getBaseUrl(req);
+  return {
+    rpName: process.env.WEBAUTHN_RP_NAME || 'Vibro',
+    rpID: process.env.WEBAUTHN_RP_ID || new URL(origin).hostname,
+    origin
+  };
+}
+
+function challengeCookie(value, maxAge) {
+  return [
+    `${CHALLENGE_COOKIE}=${value}`,
+    'Path=/',
+    'HttpOnly',
+    'Secure',
+    `Max-Age=${maxAge}`,
+    'SameSite=Strict'
+  ].join('; ');
+}
+
+// Read and validate the pending challenge for a ceremony type
+function readChallenge(req, type) {
+  const cookies = cookie.parse(req.headers.cookie || '');
+  const pending = verifySignedPayload(cookies[CHALLENGE_COOKIE]);
+  if (!pending || pending.type !== type || Date.now() > pending.expires_at) {
+    return null;
+  }
+  return pending;
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers for Vercel
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const { rpName, rpID, origin } = getRelyingParty(req);
+    const body = req.method === 'GET' ? {} : parseBody(req);
+    const action = req.method === 'POST' ? body.action : null;
+
+    // ========== SIGN-IN (no session needed) ==========
+    if (action === 'login_options') {
+      // Discoverable credentials: the browser offers whichever passkeys it has for this site
+      const options = await passkeyLoginOptions({ rpID });
+
+      res.setHeader('Set-Cookie', challengeCookie(signPayload({
+        type: 'login',
+        challenge: options.challenge,
+        remember_me: !!body.remember_me,
+        expires_at: Date.now() + CHALLENGE_TTL_SECONDS * 1000
+      }), CHALLENGE_TTL_SECONDS));
+
+      return res.status(200).json({ success: true, options });
+    }
+
+    if (action === 'login_verify') {
+      const pending = readChallenge(req, 'login');
+      res.setHeader('Set-Cookie', challengeCookie('', 0));
+
+      if (!pending) {
+        return res.status(400).json({ success: false, error: 'Passkey challenge expired. Please try again.' });
+      }
+
+      const assertion = body.response;
+      if (!assertion?.id) {
+        return res.status(400).json({ success: false, error: 'Missing passkey response' });
+      }
+
+      const { data: passkey } = await supabase
+        .from('passkeys')
+        .select('*')
+        .eq('credential_id', assertion.id)
+        .maybeSingle();
+
+      if (!passkey) {
+        return res.status(401).json({ success: false, error: 'Unknown passkey' });
+      }
+
+      const { data: user } = await supabase
+        .from('users')
+        .select('id, email, username, verified, suspended, suspension_reason, is_honeytoken, profile_picture, completed_profile')
+        .eq('id', passkey.user_id)
+        .maybeSingle();
+
+      if (user?.is_honeytoken) {
+        await recordSecurityEvent(supabase, req, {
+          type: SECURITY_EVENTS.HONEYTOKEN_LOGIN,
+          email: user.email,
+          userId: user.id,
+          details: { method: 'passkey' }
+        });
+      }
+
+      if (!user || user.is_honeytoken || user.verified === false) {
+        return res.status(401).json({ success: false, error: 'Unknown passkey' });
+      }
+
+      if (user.suspended) {
+        return res.status(403).json({
+          success: false,
+          error: user.suspension_reason || 'Account suspended. Please contact support.'
+        });
+      }
+
+      const verification = await verifyPasskeyLogin({ origin, rpID }, assertion, pending.challenge, passkey);
+      if (verification.error) {
+        return res.status(401).json({ success: false, error: verification.error });
+      }
+
+      // A counter that doesn't move forward may indicate a cloned authenticator
+      await supabase
+        .from('passkeys')
+        .update({
+          counter: verification.newCounter,
+          last_used_at: new Date().toISOString()
+        })
+        .eq('id', passkey.id);
+
+      await supabase
+        .from('users')
+        .update({
+          last_login: new Date().toISOString(),
+          online: true
+        })
+        .eq('id', user.id);
+
+      const expiresInDays = pending.remember_me ? 90 : 1;
+      const { session_token, expiresAt, error: sessionError, blocked } = await createSession(supabase, req, user, expiresInDays);
+
+      if (blocked) {
+        return res.status(blocked.status).json({ success: false, error: blocked.error, redirect: blocked.redirect });
+      }
+
+      if (sessionError) {
+        return res.status(500).json({ success: false, error: 'Failed to create session. Please try again.' });
+      }
+
+      res.setHeader('Set-Cookie', [challengeCookie('', 0), sessionCookie(session_token, expiresInDays)]);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Login successful!',
+        user: {
+          id: user.id,
+          email: user.email,
+          username: user.username,
+          profile_picture: user.profile_picture,
+          completed_profile: user.completed_profile
+        },
+        session_expires: expiresAt.toISOString()
+      });
+    }
+
+    // ========== MANAGEMENT (signed-in users only) ==========
+    const auth = await getSessionUser(supabase, req);
+    if (!auth) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+
+    const { user } = auth;
+
+    if (req.method === 'GET') {
+      const { data: passkeys, error } = await supabase
+        .from('passkeys')
+        .select('id, name, device_type, backed_up, created_at, last_used_at')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Passkeys fetch error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to load passkeys' });
+      }
+
+      return res.status(200).json({ success: true, passkeys: passkeys || [] });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!body.id) {
+        return res.status(400).json({ success: false, error: 'Passkey id required' });
+      }
+
+      const { data: removed, error } = await supabase
+        .from('passkeys')
+        .delete()
+        .eq('id', body.id)
+        .eq('user_id', user.id)
+        .select('id');
+
+      if (error) {
+        console.error('Passkey delete error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to remove passkey' });
+      }
+
+      if (!removed || removed.length === 0) {
+        return res.status(404).json({ success: false, error: 'Passkey not found' });
+      }
+
+      return res.status(200).json({ success: true, message: 'Passkey removed' });
+    }
+
+    if (action === 'register_options') {
+      const { data: existing } = await supabase
+        .from('passkeys')
+        .select('credential_id, transports')
+        .eq('user_id', user.id);
+
+      const options = await passkeyRegistrationOptions({ rpName, rpID }, user, existing || []);
+
+      res.setHeader('Set-Cookie', challengeCookie(signPayload({
+        type: 'register',
+        challenge: options.challenge,
+        user_id: user.id,
+        expires_at: Date.now() + CHALLENGE_TTL_SECONDS * 1000
+      }), CHALLENGE_TTL_SECONDS));
+
+      return res.status(200).json({ success: true, options });
+    }
+
+    if (action === 'register_verify') {
+      const pending = readChallenge(req, 'register');
+      res.setHeader('Set-Cookie', challengeCookie('', 0));
+
+      if (!pending || pending.user_id !== user.id) {
+        return res.status(400).json({ success: false, error: 'Passkey challenge expired. Please try again.' });
+      }
+
+      const registration = await verifyPasskeyRegistration({ origin, rpID }, body.response, pending.challenge);
+      if (registration.error) {
+        return res.status(400).json({ success: false, error: registration.error });
+      }
+
+      const { data: passkey, error } = await supabase
+        .from('passkeys')
+        .insert({
+          user_id: user.id,
+          ...registration.passkey,
+          name: (body.name || '').trim().slice(0, 64) || 'Passkey',
+          created_at: new Date().toISOString()
+        })
+        .select('id, name, device_type, backed_up, created_at')
+        .single();
+
+      if (error) {
+        console.error('Passkey insert error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to save passkey' });
+      }
+
+      return res.status(200).json({ success: true, message: 'Passkey added', passkey });
+    }
+
+    return res.status(req.method === 'POST' ? 400 : 405).json({
+      success: false,
+      error: req.method === 'POST' ? 'Unknown action' : 'Method not allowed'
+    });
+
+  } catch (err) {
+    console.error('Passkeys API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
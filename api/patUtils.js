@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import { hashToken, getClientIp } from './authUtils.js';
+
+export const API_TOKEN_PREFIX = 'vbx_pat_';
+export const API_TOKEN_SCOPES = ['videos:read', 'videos:write'];
+export const MAX_TOKEN_LIFETIME_DAYS = 365;
+
+/**
+ * New personal access token. Only the hash is stored; the raw value is shown once.
+ * @returns {{ token: string, tokenHash: string, displayPrefix: string }}
+ */
+export function generateApiToken() {
+  const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return {
+    token,
+    tokenHash: hashToken(token),
+    displayPrefix: token.slice(0, API_TOKEN_PREFIX.length + 6)
+  };
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @returns {string|null} raw bearer token, if the request carries one
+ */
+export function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Authenticate a request by its `Authorization: Bearer` personal access token.
+ * Returns null when no bearer token was sent, so callers can fall back to the session cookie.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {import('http').IncomingMessage} req
+ * @param {string} requiredScope
+ * @returns {Promise<null | { user?: object, token?: object, error?: string, status?: number }>}
+ */
+export async function authenticateApiToken(supabase, req, requiredScope) {
+  const rawToken = getBearerToken(req);
+  if (!rawToken) return null;
+
+  if (!rawToken.startsWith(API_TOKEN_PREFIX)) {
+    return { error: 'Invalid API token', status: 401 };
+  }
+
+  const { data: token, error } = await supabase
+    .from('api_tokens')
+    .select('id, user_id, scopes, expires_at, revoked_at')
+    .eq('token_hash', hashToken(rawToken))
+    .maybeSingle();
+
+  if (error) {
+    console.error('API token lookup error:', error);
+    return { error: 'Authentication failed', status: 500 };
+  }
+
+  if (!token || token.revoked_at) {
+    return { error: 'Invalid API token', status: 401 };
+  }
+
+  if (token.expires_at && new Date(token.expires_at) < new Date()) {
+    return { error: 'API token expired', status: 401 };
+  }
+
+  if (!(token.scopes || []).includes(requiredScope)) {
+    return { error: `API token is missing the "${requiredScope}" scope`, status: 403 };
+  }
+
+  const { data: user } = await supabase
+    .from('users')
+    .select('id, email, username, video_count, suspended, suspension_reason, deletion_scheduled_for')
+    .eq('id', token.user_id)
+    .maybeSingle();
+
+  if (!user) {
+    return { error: 'User not found', status: 401 };
+  }
+
+  if (user.suspended) {
+    return { error: user.suspension_reason || 'Account suspended', status: 403 };
+  }
+
+  // Tokens stop working while the account waits to be deleted and resume if that's cancelled
+  if (user.deletion_scheduled_for) {
+    return { error: 'Account is scheduled for deletion', status: 403 };
+  }
+
+  await supabase
+    .from('api_tokens')
+    .update({ last_used_at: new Date().toISOString(), last_used_ip: getClientIp(req) })
+    .eq('id', token.id);
+
+  return { user, token };
+}
@@ -0,0 +1,239 @@
+// pages/api/process-videos.js - scheduled job, transcodes pending uploads into an HLS ladder
+//
+// Sources of any length are handled: each claim transcodes one window (WINDOW_SECONDS
+// in transcode.js) and saves its place in `processing_progress`, and every run keeps
+// claiming windows, of the same or other videos, until its time budget is spent.
+import { createClient } from '@supabase/supabase-js';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { isAuthorizedCron } from './authUtils.js';
+import { hlsPrefix } from './videoUtils.js';
+import { probeVideo } from './mediaProbe.js';
+import { pickLadder, transcodeWindow, mediaPlaylist, masterPlaylist, hlsContentType, WINDOW_SECONDS } from './transcode.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// A job still "processing" after this long is assumed dead (the function's
+// maxDuration in vercel.json is far shorter) and retried
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
+// Failed windows are retried after 5, 10, 20... minutes, then the video is given up on
+const MAX_ATTEMPTS = 4;
+const RETRY_BASE_MS = 5 * 60 * 1000;
+
+// Within process-videos' maxDuration (300s in vercel.json): ffmpeg must finish by
+// RUN_BUDGET_MS, leaving the rest for uploads, and a new window only starts while
+// at least MIN_WINDOW_MS of the budget is left
+const RUN_BUDGET_MS = 240 * 1000;
+const MIN_WINDOW_MS = 90 * 1000;
+
+function nextAttemptAt(attempts) {
+  return new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString();
+}
+
+// Runs that died mid-transcode count as failed attempts
+async function releaseStaleJobs() {
+  const staleBefore = new Date(Date.now() - STALE_PROCESSING_MS).toISOString();
+
+  await supabase
+    .from('videos')
+    .update({ processing_status: 'failed', processing_error: 'Transcode timed out' })
+    .eq('processing_status', 'processing')
+    .lt('processing_started_at', staleBefore)
+    .gte('processing_attempts', MAX_ATTEMPTS);
+
+  await supabase
+    .from('videos')
+    .update({ processing_status: 'pending', next_attempt_at: new Date().toISOString() })
+    .eq('processing_status', 'processing')
+    .lt('processing_started_at', staleBefore);
+}
+
+// Take the oldest pending video that is due, guarding against two runs grabbing the same one
+async function claimNextVideo() {
+  const { data: candidates } = await supabase
+    .from('videos')
+    .select('id, user_id, video_url, duration, width, height, has_audio, processing_attempts, processing_progress')
+    .eq('processing_status', 'pending')
+    .or(`next_attempt_at.is.null,next_attempt_at.lte.${new Date().toISOString()}`)
+    .is('deleted_at', null)
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  const video = candidates?.[0];
+  if (!video) return null;
+
+  // Counted when claimed, so a run killed by the time limit still uses up an attempt
+  const attempts = (video.processing_attempts || 0) + 1;
+  const { data: claimed } = await supabase
+    .from('videos')
+    .update({
+      processing_status: 'processing',
+      processing_started_at: new Date().toISOString(),
+      processing_attempts: attempts,
+      processing_error: null
+    })
+    .eq('id', video.id)
+    .eq('processing_status', 'pending')
+    .select('id');
+
+  return claimed && claimed.length > 0 ? { ...video, processing_attempts: attempts } : null;
+}
+
+/**
+ * Where a video's transcode stands. Fixed on the first window so later windows
+ * produce the same rungs.
+ * @returns {Promise<{ rungs: object[], width: number|null, height: number|null, has_audio: boolean, duration: number|null, offset: number, segments: object[][] }>}
+ */
+async function loadProgress(video) {
+  if (video.processing_progress) return video.processing_progress;
+
+  // Older rows (or a failed probe at upload) may lack what the ladder needs
+  let { width, height, has_audio: hasAudio, duration } = video;
+  if (!height || hasAudio === null || !duration) {
+    const media = await probeVideo(video.video_url);
+    width = media.width;
+    height = media.height;
+    hasAudio = !!media.has_audio;
+    duration = media.duration;
+  }
+
+  const rungs = pickLadder(height);
+  return { rungs, width, height, has_audio: !!hasAudio, duration: duration || null, offset: 0, segments: rungs.map(() => []) };
+}
+
+async function uploadHlsFile(video, file, body) {
+  const { error } = await supabase.storage
+    .from('videos')
+    .upload(`${hlsPrefix(video)}/${file}`, body, {
+      contentType: hlsContentType(file),
+      cacheControl: 'public, max-age=31536000',
+      upsert: true,
+    });
+
+  if (error) {
+    throw new Error(`Upload of ${file} failed: ${error.message}`);
+  }
+}
+
+// Playlists go up last, once every segment they list is in storage
+async function publishPlaylists(video, progress) {
+  for (let i = 0; i < progress.rungs.length; i++) {
+    await uploadHlsFile(video, `${i}/index.m3u8`, Buffer.from(mediaPlaylist(progress.segments[i])));
+  }
+
+  const master = masterPlaylist(progress.rungs, { width: progress.width, height: progress.height, hasAudio: progress.has_audio });
+  await uploadHlsFile(video, 'master.m3u8', Buffer.from(master));
+
+  const { data } = supabase.storage.from('videos').getPublicUrl(`${hlsPrefix(video)}/master.m3u8`);
+  return data.publicUrl;
+}
+
+/**
+ * Transcode the next window of a claimed video and record where it got to
+ * @param {object} video
+ * @param {number} deadline ms timestamp ffmpeg must finish by
+ * @returns {Promise<{ id: string, status: string, offset?: number, renditions?: string[] }>}
+ */
+async function processNextWindow(video, deadline) {
+  const progress = await loadProgress(video);
+  // Without a known duration there's no telling where windows end, so do it in one go
+  const seconds = progress.duration ? WINDOW_SECONDS : null;
+
+  console.log(`🎬 Transcoding video: ${video.id} from ${progress.offset}s (attempt ${video.processing_attempts}/${MAX_ATTEMPTS})`);
+
+  const { dir, files, segments } = await transcodeWindow(video.video_url, {
+    rungs: progress.rungs,
+    hasAudio: progress.has_audio,
+    start: progress.offset,
+    seconds,
+    timeoutMs: Math.max(deadline - Date.now(), 1000)
+  });
+
+  try {
+    for (const file of files) {
+      await uploadHlsFile(video, file, await fs.readFile(path.join(dir, file)));
+    }
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  progress.segments = progress.segments.map((rungSegments, i) => [...rungSegments, ...segments[i]]);
+  progress.offset += seconds || 0;
+
+  if (seconds && progress.offset < progress.duration) {
+    await supabase
+      .from('videos')
+      .update({
+        processing_status: 'pending',
+        processing_progress: progress,
+        processing_attempts: 0, // Attempts count failures in a row, per window
+        next_attempt_at: null
+      })
+      .eq('id', video.id);
+
+    return { id: video.id, status: 'pending', offset: progress.offset };
+  }
+
+  const hlsUrl = await publishPlaylists(video, progress);
+  const renditions = progress.rungs.map(rung => rung.name);
+
+  await supabase
+    .from('videos')
+    .update({
+      processing_status: 'ready',
+      processing_progress: null,
+      hls_url: hlsUrl,
+      hls_renditions: renditions,
+      processed_at: new Date().toISOString()
+    })
+    .eq('id', video.id);
+
+  console.log(`✅ HLS ready for ${video.id}: ${renditions.join(', ')}`);
+  return { id: video.id, status: 'ready', renditions };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!isAuthorizedCron(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  const deadline = Date.now() + RUN_BUDGET_MS;
+  const processed = [];
+
+  await releaseStaleJobs();
+
+  while (deadline - Date.now() >= MIN_WINDOW_MS) {
+    const video = await claimNextVideo();
+    if (!video) break;
+
+    try {
+      processed.push(await processNextWindow(video, deadline));
+    } catch (err) {
+      console.error(`❌ Transcode failed for ${video.id}:`, err);
+
+      // The original upload stays playable meanwhile; only the HLS ladder is missing.
+      // processing_progress is untouched, so a retry picks up at the failed window.
+      const retry = video.processing_attempts < MAX_ATTEMPTS;
+      await supabase
+        .from('videos')
+        .update({
+          processing_status: retry ? 'pending' : 'failed',
+          next_attempt_at: retry ? nextAttemptAt(video.processing_attempts) : null,
+          processing_error: err.message.slice(0, 1000)
+        })
+        .eq('id', video.id);
+
+      processed.push({ id: video.id, status: retry ? 'retrying' : 'failed' });
+    }
+  }
+
+  return res.status(200).json({ success: true, processed });
+}
@@ -0,0 +1,64 @@
+// pages/api/publish-scheduled.js - scheduled job, publishes videos whose publish_at has arrived
+import { createClient } from '@supabase/supabase-js';
+import { isAuthorizedCron } from './authUtils.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!isAuthorizedCron(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const now = new Date().toISOString();
+
+    const { data: due, error } = await supabase
+      .from('videos')
+      .select('id, publish_at')
+      .eq('publish_status', 'scheduled')
+      .lte('publish_at', now)
+      .is('deleted_at', null);
+
+    if (error) {
+      console.error('Scheduled videos fetch error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to load scheduled videos' });
+    }
+
+    const published = [];
+
+    for (const video of due || []) {
+      // Go live at the promised time, not whenever this job happened to run;
+      // the status guard skips videos the owner changed in the meantime
+      const { data: updated, error: updateError } = await supabase
+        .from('videos')
+        .update({ publish_status: 'published', published_at: video.publish_at })
+        .eq('id', video.id)
+        .eq('publish_status', 'scheduled')
+        .select('id');
+
+      if (updateError) {
+        console.error(`❌ Publishing ${video.id} failed:`, updateError);
+      } else if (updated && updated.length > 0) {
+        published.push(video.id);
+        console.log(`📢 Scheduled video published: ${video.id}`);
+      }
+    }
+
+    return res.status(200).json({ success: true, published });
+
+  } catch (err) {
+    console.error('Scheduled publish error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
@@ -0,0 +1,58 @@
+// pages/api/purge-deleted-accounts.js - scheduled job, deletes accounts whose grace period has ended
+import { createClient } from '@supabase/supabase-js';
+import { isAuthorizedCron } from './authUtils.js';
+import { purgeAccount } from './accountDeletion.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const BATCH_SIZE = 20;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!isAuthorizedCron(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const { data: users, error } = await supabase
+      .from('users')
+      .select('id, email, username')
+      .lte('deletion_scheduled_for', new Date().toISOString())
+      .order('deletion_scheduled_for', { ascending: true })
+      .limit(BATCH_SIZE);
+
+    if (error) {
+      console.error('Due deletions fetch error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to load scheduled deletions' });
+    }
+
+    let purged = 0;
+    const failed = [];
+
+    for (const user of users || []) {
+      const { error: purgeError } = await purgeAccount(supabase, user);
+      if (purgeError) {
+        failed.push(user.id);
+      } else {
+        purged++;
+        console.log(`🗑️ Account purged: ${user.id}`);
+      }
+    }
+
+    return res.status(200).json({ success: true, purged, failed });
+
+  } catch (err) {
+    console.error('Account purge error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
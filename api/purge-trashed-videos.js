@@ -0,0 +1,60 @@
+// pages/api/purge-trashed-videos.js - scheduled job, permanently deletes videos left in the trash
+import { createClient } from '@supabase/supabase-js';
+import { isAuthorizedCron } from './authUtils.js';
+import { deleteVideoAndAssets, VIDEO_TRASH_DAYS } from './videoUtils.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const BATCH_SIZE = 50;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!isAuthorizedCron(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const trashedBefore = new Date(Date.now() - VIDEO_TRASH_DAYS * 24 * 60 * 60 * 1000);
+
+    const { data: videos, error } = await supabase
+      .from('videos')
+      .select('id, user_id, video_url, cover_url, thumbnail_candidates')
+      .lte('deleted_at', trashedBefore.toISOString())
+      .order('deleted_at', { ascending: true })
+      .limit(BATCH_SIZE);
+
+    if (error) {
+      console.error('Trashed videos fetch error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to load trashed videos' });
+    }
+
+    let purged = 0;
+    const failed = [];
+
+    for (const video of videos || []) {
+      const { error: deleteError } = await deleteVideoAndAssets(supabase, video);
+      if (deleteError) {
+        failed.push(video.id);
+      } else {
+        purged++;
+        console.log(`🗑️ Trashed video purged: ${video.id}`);
+      }
+    }
+
+    return res.status(200).json({ success: true, purged, failed });
+
+  } catch (err) {
+    console.error('Trash purge error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
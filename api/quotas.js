@@ -0,0 +1,170 @@
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Limits per tier. `limited_account` users are always on `limited`; everyone
+ * else gets `users.quota_tier` or `standard`. A `null` limit means unlimited.
+ */
+export const QUOTA_TIERS = {
+  limited: { storage_bytes: 1 * GB, uploads_per_day: 3, max_duration: 10 * 60 },
+  standard: { storage_bytes: 20 * GB, uploads_per_day: 25, max_duration: 2 * 60 * 60 },
+  pro: { storage_bytes: 200 * GB, uploads_per_day: 100, max_duration: 6 * 60 * 60 }
+};
+
+// users columns that override one limit of the tier for a single user (null = use the tier)
+export const QUOTA_OVERRIDE_COLUMNS = {
+  storage_bytes: 'quota_storage_bytes',
+  uploads_per_day: 'quota_uploads_per_day',
+  max_duration: 'quota_max_duration'
+};
+
+export const QUOTA_ERRORS = {
+  STORAGE: 'QUOTA_STORAGE_EXCEEDED',
+  DAILY_UPLOADS: 'QUOTA_DAILY_UPLOADS_EXCEEDED',
+  DURATION: 'QUOTA_DURATION_EXCEEDED'
+};
+
+/**
+ * Tier and effective limits for a user row
+ * @param {{ limited_account?: boolean, quota_tier?: string }} user plus the override columns
+ * @returns {{ tier: string, limits: { storage_bytes: number|null, uploads_per_day: number|null, max_duration: number|null } }}
+ */
+export function resolveQuota(user) {
+  const tier = user.limited_account
+    ? 'limited'
+    : (QUOTA_TIERS[user.quota_tier] ? user.quota_tier : 'standard');
+
+  const limits = { ...QUOTA_TIERS[tier] };
+  for (const [limit, column] of Object.entries(QUOTA_OVERRIDE_COLUMNS)) {
+    if (user[column] !== null && user[column] !== undefined) {
+      limits[limit] = Number(user[column]);
+    }
+  }
+
+  return { tier, limits };
+}
+
+/**
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} userId
+ */
+export async function loadQuota(supabase, userId) {
+  const { data: user } = await supabase
+    .from('users')
+    .select(`id, limited_account, quota_tier, ${Object.values(QUOTA_OVERRIDE_COLUMNS).join(', ')}`)
+    .eq('id', userId)
+    .maybeSingle();
+
+  return resolveQuota(user || {});
+}
+
+/**
+ * Current consumption. Trashed videos still count until they are purged, and
+ * unfinished resumable uploads reserve their full declared length.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} userId
+ * @returns {Promise<{ storage_bytes: number, reserved_bytes: number, uploads_last_24h: number }>}
+ */
+export async function getUsage(supabase, userId) {
+  const since = new Date(Date.now() - DAY_MS);
+
+  const [{ data: videos }, { data: pending }] = await Promise.all([
+    supabase.from('videos').select('size, created_at').eq('user_id', userId),
+    supabase
+      .from('resumable_uploads')
+      .select('id, upload_length, created_at')
+      .eq('user_id', userId)
+      .gt('expires_at', new Date().toISOString())
+  ]);
+
+  const uploads = pending || [];
+
+  return {
+    storage_bytes: (videos || []).reduce((total, video) => total + (Number(video.size) || 0), 0),
+    reserved_bytes: uploads.reduce((total, upload) => total + (Number(upload.upload_length) || 0), 0),
+    uploads_last_24h: [...(videos || []), ...uploads].filter(item => new Date(item.created_at) >= since).length
+  };
+}
+
+function formatBytes(bytes) {
+  return bytes >= GB ? `${(bytes / GB).toFixed(1)} GB` : `${Math.ceil(bytes / MB)} MB`;
+}
+
+/**
+ * Storage and daily-upload check for a new upload of `size` bytes. Called with the
+ * declared length (Content-Length / Upload-Length) before any of the body is read.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} userId
+ * @param {number} size
+ * @returns {Promise<{ quota?: object, usage?: object, error?: string, code?: string, status?: number }>}
+ */
+export async function checkUploadQuota(supabase, userId, size) {
+  const quota = await loadQuota(supabase, userId);
+  const usage = await getUsage(supabase, userId);
+  const { limits } = quota;
+
+  if (limits.uploads_per_day !== null && usage.uploads_last_24h >= limits.uploads_per_day) {
+    return {
+      error: `Daily upload limit reached (${limits.uploads_per_day} per 24 hours)`,
+      code: QUOTA_ERRORS.DAILY_UPLOADS,
+      status: 429
+    };
+  }
+
+  if (limits.storage_bytes !== null && usage.storage_bytes + usage.reserved_bytes + size > limits.storage_bytes) {
+    return storageExceeded(limits, usage.storage_bytes + usage.reserved_bytes);
+  }
+
+  return { quota, usage };
+}
+
+/**
+ * Storage check again when a resumable upload finishes. Uploads created side by side
+ * can each pass checkUploadQuota before the others are reserved, so here only videos
+ * already stored count against the limit and the first upload to finish wins.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} userId
+ * @param {number} size bytes actually stored
+ * @returns {Promise<{ quota?: object, usage?: object, error?: string, code?: string, status?: number }>}
+ */
+export async function checkCompletedUploadQuota(supabase, userId, size) {
+  const quota = await loadQuota(supabase, userId);
+  const usage = await getUsage(supabase, userId);
+  const { limits } = quota;
+
+  if (limits.storage_bytes !== null && usage.storage_bytes + size > limits.storage_bytes) {
+    return storageExceeded(limits, usage.storage_bytes);
+  }
+
+  return { quota, usage };
+}
+
+function storageExceeded(limits, used) {
+  const available = Math.max(0, limits.storage_bytes - used);
+  return {
+    error: `Storage quota exceeded: ${formatBytes(available)} of ${formatBytes(limits.storage_bytes)} left`,
+    code: QUOTA_ERRORS.STORAGE,
+    status: 413
+  };
+}
+
+/**
+ * Duration is only known once the upload is probed
+ * @param {{ limits: { max_duration: number|null } }} quota
+ * @param {number|null} duration seconds
+ * @returns {{ error?: string, code?: string, status?: number }}
+ */
+export function checkDurationQuota(quota, duration) {
+  const { max_duration: maxDuration } = quota.limits;
+
+  if (maxDuration !== null && duration && duration > maxDuration) {
+    return {
+      error: `Video is longer than your ${Math.floor(maxDuration / 60)} minute limit`,
+      code: QUOTA_ERRORS.DURATION,
+      status: 413
+    };
+  }
+
+  return {};
+}
@@ -1,58 +1,158 @@
 import { createClient } from '@supabase/supabase-js';
 
-// Initialize Supabase
-if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
-  throw new Error('Missing SUPABASE_URL or SUPABASE_KEY env variables!');
+/**
+ * Per-route sliding-window policies.
+ * failClosed: deny when the store is unreachable (auth endpoints) instead of letting traffic through.
+ */
+export const POLICIES = {
+  login: { windowMs: 15 * 60 * 1000, max: 5, failClosed: true },
+  upload: { windowMs: 60 * 60 * 1000, max: 10 },
+  comment: { windowMs: 60 * 1000, max: 5 },
+  like: { windowMs: 60 * 1000, max: 30 }
+};
+
+/**
+ * In-memory store. Resets on every cold start, so use it for tests and local dev only.
+ * @returns {{ hit: Function, window: Function }}
+ */
+export function createMemoryStore() {
+  const hits = new Map();
+
+  return {
+    async hit(key, now) {
+      const list = hits.get(key) || [];
+      list.push(now);
+      hits.set(key, list);
+    },
+
+    async window(key, since) {
+      const recent = (hits.get(key) || []).filter(time => time >= since);
+      hits.set(key, recent);
+      return { count: recent.length, oldest: recent[0] ?? null };
+    }
+  };
 }
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
 
 /**
- * Check if the IP is allowed to attempt login
- * @param {string} ip
- * @returns {Promise<boolean>}
+ * Supabase-backed store, shared by every function instance.
+ * Expects a `rate_limits` table with `key` (text) and `created_at` (timestamptz).
+ * @param {import('@supabase/supabase-js').SupabaseClient} client
+ * @returns {{ hit: Function, window: Function }}
  */
-export async function checkRateLimit(ip) {
-  if (!ip) return false;
+export function createSupabaseStore(client) {
+  return {
+    async hit(key, now) {
+      const { error } = await client
+        .from('rate_limits')
+        .insert({ key, created_at: new Date(now).toISOString() });
 
-  const windowMinutes = 10; // time window
-  const maxAttempts = 5;    // max attempts allowed
+      if (error) throw error;
 
-  const since = new Date(Date.now() - windowMinutes * 60 * 1000).toISOString();
+      // Opportunistic cleanup of hits that have left every window
+      if (Math.random() < 0.1) {
+        const longestWindow = Math.max(...Object.values(POLICIES).map(p => p.windowMs));
+        await client
+          .from('rate_limits')
+          .delete()
+          .eq('key', key)
+          .lt('created_at', new Date(now - longestWindow).toISOString());
+      }
+    },
 
-  try {
-    const { data, error } = await supabase
-      .from('login_attempts')
-      .select('id')
-      .eq('ip', ip)
-      .gte('created_at', since);
-
-    if (error) {
-      console.error('Rate limit fetch error:', error);
-      return false; // fail-safe: deny login if Supabase fails
+    async window(key, since) {
+      const { data, count, error } = await client
+        .from('rate_limits')
+        .select('created_at', { count: 'exact' })
+        .eq('key', key)
+        .gte('created_at', new Date(since).toISOString())
+        .order('created_at', { ascending: true })
+        .limit(1);
+
+      if (error) throw error;
+      return {
+        count: count || 0,
+        oldest: data?.[0] ? new Date(data[0].created_at).getTime() : null
+      };
     }
+  };
+}
 
-    return (data?.length || 0) < maxAttempts;
-  } catch (err) {
-    console.error('Rate limit unexpected error:', err);
-    return false;
+function createDefaultStore() {
+  if (process.env.RATE_LIMIT_STORE === 'memory' || !process.env.SUPABASE_URL) {
+    return createMemoryStore();
   }
+  return createSupabaseStore(createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_KEY,
+    { auth: { persistSession: false } }
+  ));
 }
 
+let store = createDefaultStore();
+
 /**
- * Log a login attempt for an IP
- * @param {string} ip
+ * Swap the backing store (e.g. createMemoryStore() in tests)
+ * @param {{ hit: Function, window: Function }} newStore
  */
-export async function logAttempt(ip) {
-  if (!ip) return;
+export function setRateLimitStore(newStore) {
+  store = newStore;
+}
 
-  try {
-    const { error } = await supabase
-      .from('login_attempts')
-      .insert({ ip });
+/**
+ * Count this request against a policy and set the X-RateLimit-* headers.
+ * Sets Retry-After when the caller is over the limit.
+ * @param {import('http').ServerResponse} res
+ * @param {keyof POLICIES} policyName
+ * @param {string} identifier e.g. IP + email, or user id
+ * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, retryAfter: number }>}
+ */
+export async function checkRateLimit(res, policyName, identifier) {
+  const policy = POLICIES[policyName];
+  if (!policy) throw new Error(`Unknown rate limit policy: ${policyName}`);
+
+  const key = `${policyName}:${identifier || 'unknown'}`;
+  const now = Date.now();
+  const since = now - policy.windowMs;
 
-    if (error) {
-      console.error('Failed to log login attempt:', error);
+  let count;
+  let oldest;
+  let allowed;
+  try {
+    ({ count, oldest } = await store.window(key, since));
+    allowed = count < policy.max;
+    if (allowed) {
+      await store.hit(key, now);
+      count += 1;
+      oldest = oldest ?? now;
     }
+  } catch (err) {
+    console.error('Rate limit store error:', err);
+    return { allowed: !policy.failClosed, limit: policy.max, remaining: 0, retryAfter: 0 };
+  }
+
+  const resetAt = (oldest ?? now) + policy.windowMs;
+  const retryAfter = Math.max(1, Math.ceil((resetAt - now) / 1000));
+  const remaining = Math.max(0, policy.max - count);
+
+  res.setHeader('X-RateLimit-Limit', policy.max);
+  res.setHeader('X-RateLimit-Remaining', remaining);
+  res.setHeader('X-RateLimit-Reset', Math.ceil(resetAt / 1000));
+
+  if (!allowed) {
+    res.setHeader('Retry-After', retryAfter);
+  }
+
+  return { allowed, limit: policy.max, remaining, retryAfter };
+}
+
+/**
+ * Record an extra hit without checking, e.g. a failed password so failures burn the budget faster
+ * @param {keyof POLICIES} policyName
+ * @param {string} identifier
+ */
+export async function logAttempt(policyName, identifier) {
+  try {
+    await store.hit(`${policyName}:${identifier || 'unknown'}`, Date.now());
   } catch (err) {
     console.error('Unexpected error logging attempt:', err);
   }
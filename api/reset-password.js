@@ -0,0 +1,127 @@
+// pages/api/reset-password.js
+import { createClient } from '@supabase/supabase-js';
+import bcrypt from 'bcrypt';
+import { passwordStrongEnough, hashToken, parseBody } from './authUtils.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+  {
+    auth: {
+      persistSession: false
+    }
+  }
+);
+
+const BCRYPT_ROUNDS = 12;
+
+export default async function handler(req, res) {
+  // Set CORS headers for Vercel
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const { token, password } = parseBody(req);
+
+    if (!token || !password) {
+      return res.status(400).json({ success: false, error: 'Token and new password are required' });
+    }
+
+    if (!passwordStrongEnough(password)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password does not meet security requirements. Must be 8+ characters with uppercase, lowercase, number, and special character.'
+      });
+    }
+
+    const tokenHash = hashToken(token);
+
+    // Single use: the token is burned by the same statement that reads it, so of
+    // two concurrent requests only one gets the row back
+    const { data: reset, error: resetError } = await supabase
+      .from('password_resets')
+      .delete()
+      .eq('token_hash', tokenHash)
+      .select('user_id, expires_at')
+      .maybeSingle();
+
+    if (resetError) {
+      console.error('Reset lookup error:', resetError);
+      return res.status(500).json({ success: false, error: 'Failed to verify reset link' });
+    }
+
+    if (!reset) {
+      return res.status(400).json({ success: false, error: 'This reset link is invalid or has already been used' });
+    }
+
+    if (new Date(reset.expires_at) < new Date()) {
+      return res.status(400).json({ success: false, error: 'This reset link has expired. Please request a new one.' });
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, email')
+      .eq('id', reset.user_id)
+      .maybeSingle();
+
+    if (!user) {
+      return res.status(400).json({ success: false, error: 'This reset link is invalid or has already been used' });
+    }
+
+    const encryptedPassword = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({
+        encrypted_password: encryptedPassword,
+        password_reset_required: false,
+        failed_login_count: 0,
+        locked_until: null
+      })
+      .eq('id', user.id);
+
+    if (updateError) {
+      console.error('Password update failed:', updateError);
+      return res.status(500).json({ success: false, error: 'Failed to update password' });
+    }
+
+    // Sign out every device. Older sessions may only carry user_email.
+    const { error: sessionsError } = await supabase
+      .from('sessions')
+      .delete()
+      .eq('user_id', user.id);
+
+    const { error: emailSessionsError } = await supabase
+      .from('sessions')
+      .delete()
+      .eq('user_email', user.email);
+
+    if (sessionsError || emailSessionsError) {
+      console.error('Failed to clear sessions after reset:', sessionsError || emailSessionsError);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password updated. Please log in with your new password.',
+      redirect: '/login.html'
+    });
+
+  } catch (err) {
+    console.error('RESET PASSWORD ERROR:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
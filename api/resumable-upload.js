@@ -0,0 +1,441 @@
+// pages/api/resumable-upload.js - resumable (tus) video uploads, sent straight to Supabase Storage
+//
+// Video bytes never pass through a function (Vercel caps request bodies at 4.5MB and
+// Supabase's tus endpoint wants 6MB parts). This endpoint only authorizes and finishes:
+//
+//   POST   (JSON: filename, filetype, size, title, ...form fields) -> create an upload and grant
+//   POST   ?id=&action=authorize                                  -> fresh grant to resume an upload
+//   POST   ?id=&action=complete                                   -> validate the stored file, create the video
+//   DELETE ?id=                                                   -> abandon an upload
+//
+// A grant is a short-lived signed upload token for one staging object. The client runs
+// tus against `endpoint` with `headers` and `metadata` from the grant; offsets live in
+// Supabase, so resuming asks Supabase (tus HEAD) rather than trusting anything we stored.
+// The file is only sniffed, probed and moved to its final name on `complete`.
+import { createClient } from '@supabase/supabase-js';
+import { v4 as uuidv4 } from 'uuid';
+import { getSessionUser, parseBody } from './authUtils.js';
+import { authenticateApiToken } from './patUtils.js';
+import { checkRateLimit } from './rateLimit.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from './securityEvents.js';
+import { buildVideoRow, recordUploadOnUser, storagePathFromUrl, resolvePublishState, MAX_FILE_SIZE } from './videoUtils.js';
+import { checkDeclaredType, sniffUpload, probeVideoContainer, VIDEO_FORMATS, SNIFF_BYTES } from './fileValidation.js';
+import { generateThumbnails, defaultThumbnail } from './thumbnails.js';
+import { checkUploadQuota, checkCompletedUploadQuota, checkDurationQuota } from './quotas.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Signed-upload variant of Supabase's tus endpoint: authorized by `x-signature` instead of a user JWT
+const STORAGE_TUS_URL = `${process.env.SUPABASE_URL}/storage/v1/upload/resumable/sign`;
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours to finish an upload
+
+// Supabase Storage only accepts 6MB parts (the last one may be shorter)
+export const CHUNK_SIZE = 6 * 1024 * 1024;
+
+// Form fields kept with the upload until the video row is created
+const METADATA_FIELDS = ['filename', 'filetype', 'title', 'description', 'category', 'privacy', 'publish_status', 'publish_at', 'tags', 'settings'];
+
+const UPLOAD_SIZE_MISMATCH = 'UPLOAD_SIZE_MISMATCH';
+
+// Bytes land here first; `complete` moves them to `<user>/<id>.<sniffed extension>`
+function stagingPath(upload) {
+  return `${upload.user_id}/${upload.id}.part`;
+}
+
+// The declared format decides the content type the object is stored with; `complete` checks the bytes
+function declaredFormat(filename) {
+  const extension = (filename.split('.').pop() || '').toLowerCase();
+  return Object.values(VIDEO_FORMATS).find(format => format.extensions.includes(extension));
+}
+
+// Personal access token with videos:write, or the browser session
+async function authenticateUploader(req) {
+  const tokenAuth = await authenticateApiToken(supabase, req, 'videos:write');
+  if (tokenAuth) return tokenAuth;
+
+  const auth = await getSessionUser(supabase, req);
+  if (!auth) return { error: 'Not authenticated', status: 401 };
+  if (auth.user.suspended) return { error: 'Account suspended', status: 403 };
+  return { user: auth.user };
+}
+
+/**
+ * Signed upload token for the staging object (Supabase makes these valid for 2 hours;
+ * the client asks for a new one with action=authorize when resuming later)
+ * @returns {Promise<object|null>} what the client needs to run tus against Supabase
+ */
+async function createGrant(upload) {
+  const path = stagingPath(upload);
+  const { data, error } = await supabase.storage
+    .from('videos')
+    .createSignedUploadUrl(path, { upsert: true });
+
+  if (error) {
+    console.error('❌ Signed upload token failed:', error);
+    return null;
+  }
+
+  const headers = { 'x-signature': data.token };
+  if (process.env.SUPABASE_ANON_KEY) {
+    headers.apikey = process.env.SUPABASE_ANON_KEY;
+  }
+
+  return {
+    upload_id: upload.id,
+    endpoint: STORAGE_TUS_URL,
+    headers,
+    metadata: {
+      bucketName: 'videos',
+      objectName: path,
+      contentType: declaredFormat(upload.metadata.filename)?.mimeType || 'application/octet-stream',
+      cacheControl: '31536000'
+    },
+    chunk_size: CHUNK_SIZE,
+    upload_length: upload.upload_length,
+    expires_at: upload.expires_at
+  };
+}
+
+/**
+ * The uploaded object as Supabase has it: still at the staging name, or already moved
+ * by an earlier `complete` that didn't get to answer. Null while the tus upload is unfinished.
+ * @returns {Promise<{ path: string, size: number }|null>}
+ */
+async function findUploadedObject(upload) {
+  const { data, error } = await supabase.storage
+    .from('videos')
+    .list(upload.user_id, { search: `${upload.id}.` });
+
+  if (error) throw error;
+
+  const names = [`${upload.id}.part`, ...Object.values(VIDEO_FORMATS).map(format => `${upload.id}.${format.extension}`)];
+  const entry = (data || []).find(item => names.includes(item.name));
+  if (!entry) return null;
+
+  return {
+    path: `${upload.user_id}/${entry.name}`,
+    size: Number(entry.metadata?.size ?? entry.metadata?.contentLength)
+  };
+}
+
+// First SNIFF_BYTES of a stored object, without downloading the rest
+async function readObjectHead(path) {
+  const response = await fetch(`${process.env.SUPABASE_URL}/storage/v1/object/videos/${path}`, {
+    headers: {
+      authorization: `Bearer ${process.env.SUPABASE_SERVICE_ROLE_KEY}`,
+      Range: `bytes=0-${SNIFF_BYTES - 1}`
+    }
+  });
+
+  if (!response.ok || !response.body) return null;
+
+  // Stop reading even if the Range header was ignored
+  const chunks = [];
+  let length = 0;
+  for await (const chunk of response.body) {
+    chunks.push(Buffer.from(chunk));
+    length += chunk.length;
+    if (length >= SNIFF_BYTES) break;
+  }
+  return Buffer.concat(chunks).subarray(0, SNIFF_BYTES);
+}
+
+async function loadUpload(id, userId) {
+  if (!id) return null;
+
+  const { data: upload } = await supabase
+    .from('resumable_uploads')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (!upload) return null;
+
+  if (new Date(upload.expires_at) < new Date()) {
+    await discardUpload(upload);
+    return null;
+  }
+
+  return upload;
+}
+
+// An unfinished tus upload on Supabase's side expires by itself; only a finished one leaves an object
+async function discardUpload(upload) {
+  await supabase.storage.from('videos').remove([stagingPath(upload)]);
+  await supabase.from('resumable_uploads').delete().eq('id', upload.id);
+}
+
+async function rejectUpload(res, upload, objectPath, { status, error, code }) {
+  await supabase.storage.from('videos').remove([objectPath]);
+  await supabase.from('resumable_uploads').delete().eq('id', upload.id);
+  return res.status(status).json({ success: false, error, code });
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers for Vercel
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const auth = await authenticateUploader(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
+    const { user } = auth;
+    const userId = user.id;
+    const { id: uploadId, action } = req.query;
+
+    // ========== CREATE ==========
+    if (req.method === 'POST' && !uploadId) {
+      const body = parseBody(req);
+      const uploadLength = Number(body.size);
+
+      if (!Number.isInteger(uploadLength) || uploadLength <= 0) {
+        return res.status(400).json({ success: false, error: 'size (in bytes) is required' });
+      }
+
+      if (uploadLength > MAX_FILE_SIZE) {
+        return res.status(413).json({ success: false, error: 'File exceeds the 500MB limit' });
+      }
+
+      const metadata = {};
+      for (const field of METADATA_FIELDS) {
+        if (body[field] !== undefined && body[field] !== null) {
+          metadata[field] = typeof body[field] === 'string' ? body[field] : JSON.stringify(body[field]);
+        }
+      }
+
+      if (!metadata.filename) {
+        return res.status(400).json({ success: false, error: 'A video filename and filetype are required' });
+      }
+
+      // Content is sniffed on completion; reject obviously wrong files before any bytes move
+      const declaredCheck = checkDeclaredType({ filename: metadata.filename, mimeType: metadata.filetype }, VIDEO_FORMATS);
+      if (declaredCheck.error) {
+        return res.status(declaredCheck.status).json({ success: false, error: declaredCheck.error, code: declaredCheck.code });
+      }
+
+      if (!metadata.title || metadata.title.trim().length < 3) {
+        return res.status(400).json({ success: false, error: 'Title must be at least 3 characters' });
+      }
+
+      const { error: publishError } = resolvePublishState(metadata);
+      if (publishError) {
+        return res.status(400).json({ success: false, error: publishError });
+      }
+
+      const { allowed } = await checkRateLimit(res, 'upload', userId);
+      if (!allowed) {
+        console.error('❌ Upload rate limit hit for user', userId);
+        await recordSecurityEvent(supabase, req, { type: SECURITY_EVENTS.RATE_LIMITED, userId, details: { policy: 'upload' } });
+        return res.status(429).json({ success: false, error: 'Upload limit reached. Please try again later.' });
+      }
+
+      // The size is declared up front, so over-quota uploads never send a byte (checked again on completion)
+      const quotaCheck = await checkUploadQuota(supabase, userId, uploadLength);
+      if (quotaCheck.error) {
+        console.error('❌ Upload quota hit for user', userId, quotaCheck.code);
+        return res.status(quotaCheck.status).json({ success: false, error: quotaCheck.error, code: quotaCheck.code });
+      }
+
+      const upload = {
+        id: uuidv4(),
+        user_id: userId,
+        upload_length: uploadLength,
+        metadata,
+        expires_at: new Date(Date.now() + UPLOAD_TTL_MS).toISOString(),
+        created_at: new Date().toISOString()
+      };
+
+      const { error: insertError } = await supabase
+        .from('resumable_uploads')
+        .insert(upload);
+
+      if (insertError) {
+        console.error('❌ Resumable upload insert failed:', insertError);
+        return res.status(500).json({ success: false, error: 'Failed to start upload' });
+      }
+
+      const grant = await createGrant(upload);
+      if (!grant) {
+        await supabase.from('resumable_uploads').delete().eq('id', upload.id);
+        return res.status(502).json({ success: false, error: 'Failed to start upload' });
+      }
+
+      console.log('📦 Resumable upload created:', upload.id, uploadLength, 'bytes');
+      return res.status(201).json({ success: true, ...grant });
+    }
+
+    const upload = await loadUpload(uploadId, userId);
+    if (!upload) {
+      return res.status(404).json({ success: false, error: 'Upload not found or expired' });
+    }
+
+    // ========== ABANDON ==========
+    if (req.method === 'DELETE') {
+      await discardUpload(upload);
+      return res.status(204).end();
+    }
+
+    // ========== RESUME ==========
+    if (action === 'authorize') {
+      const grant = await createGrant(upload);
+      if (!grant) {
+        return res.status(502).json({ success: false, error: 'Failed to authorize upload' });
+      }
+      return res.status(200).json({ success: true, ...grant });
+    }
+
+    if (action !== 'complete') {
+      return res.status(400).json({ success: false, error: 'Unknown action' });
+    }
+
+    // ========== COMPLETE: create the video ==========
+    // A retried `complete` whose first attempt got as far as the insert
+    const { data: existingVideo } = await supabase
+      .from('videos')
+      .select('id')
+      .eq('id', upload.id)
+      .maybeSingle();
+
+    if (existingVideo) {
+      await supabase.from('resumable_uploads').delete().eq('id', upload.id);
+      return res.status(200).json({ success: true, video_id: upload.id });
+    }
+
+    const stored = await findUploadedObject(upload);
+
+    // Supabase only creates the object once every byte has arrived
+    if (!stored) {
+      return res.status(409).json({ success: false, error: 'Upload is not finished yet; resume it and try again' });
+    }
+
+    const { path: stagedPath, size: storedSize } = stored;
+
+    if (storedSize !== Number(upload.upload_length)) {
+      console.error('❌ Stored size differs from declared size:', storedSize, upload.upload_length);
+      return rejectUpload(res, upload, stagedPath, {
+        status: 400,
+        error: 'The uploaded file does not match the declared size',
+        code: UPLOAD_SIZE_MISMATCH
+      });
+    }
+
+    // Other uploads may have finished since this one was created
+    const quotaCheck = await checkCompletedUploadQuota(supabase, userId, storedSize);
+    if (quotaCheck.error) {
+      console.error('❌ Upload quota hit on completion for user', userId, quotaCheck.code);
+      return rejectUpload(res, upload, stagedPath, quotaCheck);
+    }
+
+    const { metadata } = upload;
+    const head = await readObjectHead(stagedPath);
+    if (!head) {
+      return res.status(502).json({ success: false, error: 'Could not read the uploaded file, please retry' });
+    }
+
+    const videoCheck = sniffUpload(head, { filename: metadata.filename, mimeType: metadata.filetype }, 'video');
+    if (videoCheck.error) {
+      console.error('❌ Video rejected:', videoCheck.code, videoCheck.error);
+      return rejectUpload(res, upload, stagedPath, videoCheck);
+    }
+
+    const storagePath = `${userId}/${upload.id}.${videoCheck.format.extension}`;
+    if (stagedPath !== storagePath) {
+      const { error: moveError } = await supabase.storage.from('videos').move(stagedPath, storagePath);
+      if (moveError) {
+        console.error('❌ Moving the upload into place failed:', moveError);
+        return res.status(502).json({ success: false, error: 'Failed to finish upload, please retry' });
+      }
+    }
+
+    let settings = {};
+    if (metadata.settings) {
+      try {
+        settings = JSON.parse(metadata.settings);
+      } catch (e) {
+        console.warn('⚠️ Invalid settings JSON, ignoring');
+      }
+    }
+
+    const { data: videoUrlData } = supabase.storage.from('videos').getPublicUrl(storagePath);
+    const { media, ...containerCheck } = await probeVideoContainer(videoUrlData.publicUrl, videoCheck.formatId);
+    if (containerCheck.error) {
+      console.error('❌ Video rejected after probing:', containerCheck.code, containerCheck.error);
+      return rejectUpload(res, upload, storagePath, containerCheck);
+    }
+
+    const durationCheck = checkDurationQuota(quotaCheck.quota, media.duration);
+    if (durationCheck.error) {
+      console.error('❌ Video over duration quota:', media.duration);
+      return rejectUpload(res, upload, storagePath, durationCheck);
+    }
+
+    const thumbnailCandidates = await generateThumbnails(supabase, {
+      videoId: upload.id,
+      userId,
+      input: videoUrlData.publicUrl,
+      duration: media.duration,
+    });
+
+    const videoData = buildVideoRow({
+      id: upload.id,
+      userId,
+      fields: metadata,
+      settings,
+      file: {
+        url: videoUrlData.publicUrl,
+        mimeType: videoCheck.format.mimeType,
+        size: storedSize,
+        filename: metadata.filename,
+      },
+      coverUrl: defaultThumbnail(thumbnailCandidates),
+      thumbnailCandidates,
+      media,
+      // Resolved again: a schedule time that passed during a long upload publishes now
+      publish: resolvePublishState(metadata).state,
+    });
+
+    const { error: dbError } = await supabase
+      .from('videos')
+      .insert(videoData);
+
+    if (dbError) {
+      console.error('❌ Database insert failed:', dbError);
+      const thumbnailPaths = thumbnailCandidates.map(url => storagePathFromUrl(url, 'covers'));
+      if (thumbnailPaths.length > 0) {
+        await supabase.storage.from('covers').remove(thumbnailPaths);
+      }
+      return rejectUpload(res, upload, storagePath, { status: 500, error: 'Failed to save video metadata' });
+    }
+
+    await recordUploadOnUser(supabase, user);
+    await supabase.from('resumable_uploads').delete().eq('id', upload.id);
+
+    console.log('✅ Resumable upload completed:', upload.id);
+    return res.status(200).json({ success: true, video_id: upload.id });
+
+  } catch (err) {
+    console.error('❌ Resumable upload error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
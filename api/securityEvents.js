@@ -0,0 +1,131 @@
+import { getClientIp } from './authUtils.js';
+import { sendMail } from './mailer.js';
+
+export const SECURITY_EVENTS = {
+  HONEYTOKEN_LOGIN: 'honeytoken_login',
+  CAPTCHA_FAILED: 'captcha_failed',
+  BAD_VERIFICATION_CODE: 'bad_verification_code',
+  RATE_LIMITED: 'rate_limited'
+};
+
+// A stuffing run hits the same honeytoken (or comes from the same IP) over and over;
+// alert on the first hit and only record the rest until the window has passed
+const HONEYTOKEN_ALERT_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Write a row to `security_events`. Never throws; a logging failure must not
+ * change the response the caller sends.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {import('http').IncomingMessage} req
+ * @param {{ type: string, email?: string, userId?: string, fingerprint?: string, details?: object }} event
+ */
+export async function recordSecurityEvent(supabase, req, { type, email, userId, fingerprint, details = {} }) {
+  const entry = {
+    event_type: type,
+    email: email || null,
+    user_id: userId || null,
+    ip: getClientIp(req),
+    fingerprint: fingerprint || null,
+    user_agent: req.headers['user-agent'] || null,
+    details,
+    created_at: new Date().toISOString()
+  };
+
+  try {
+    const { error } = await supabase
+      .from('security_events')
+      .insert(entry);
+
+    if (error) {
+      console.error('Security event insert failed:', error);
+    }
+
+    if (type === SECURITY_EVENTS.HONEYTOKEN_LOGIN && !(await alertedRecently(supabase, entry))) {
+      await sendHoneytokenAlert(entry);
+    }
+  } catch (err) {
+    console.error('Security event logging failed:', err);
+  }
+}
+
+/**
+ * Was there an earlier honeytoken hit for the same account or from the same IP inside the window?
+ * Two `.eq` lookups rather than one `.or()` so raw emails/IPs never end up in a filter string.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {{ email: string|null, ip: string, created_at: string }} entry
+ * @returns {Promise<boolean>}
+ */
+async function alertedRecently(supabase, entry) {
+  const since = new Date(new Date(entry.created_at).getTime() - HONEYTOKEN_ALERT_WINDOW_MS).toISOString();
+
+  const earlierHits = (column, value) => supabase
+    .from('security_events')
+    .select('id', { count: 'exact', head: true })
+    .eq('event_type', SECURITY_EVENTS.HONEYTOKEN_LOGIN)
+    .eq(column, value)
+    .gte('created_at', since)
+    .lt('created_at', entry.created_at);
+
+  const [byEmail, byIp] = await Promise.all([
+    entry.email ? earlierHits('email', entry.email) : { count: 0 },
+    earlierHits('ip', entry.ip)
+  ]);
+
+  if (byEmail.error || byIp.error) {
+    // Better a duplicate alert than a missed one
+    console.error('Honeytoken alert dedupe lookup failed:', byEmail.error || byIp.error);
+    return false;
+  }
+
+  return byEmail.count > 0 || byIp.count > 0;
+}
+
+/**
+ * Notify operators that a honeytoken account was touched.
+ * SECURITY_ALERT_WEBHOOK_URL receives a JSON POST (Slack-style `text` included);
+ * SECURITY_ALERT_EMAIL receives the `honeytoken_alert` template. Either, both or neither may be set.
+ */
+async function sendHoneytokenAlert(entry) {
+  const webhookUrl = process.env.SECURITY_ALERT_WEBHOOK_URL;
+  const alertEmail = process.env.SECURITY_ALERT_EMAIL;
+
+  if (!webhookUrl && !alertEmail) {
+    console.warn(`Honeytoken access attempt detected: ${entry.email} from ${entry.ip}`);
+    return;
+  }
+
+  if (webhookUrl) {
+    try {
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          text: `Honeytoken login attempt: ${entry.email} from ${entry.ip} (repeats for this account or IP are not alerted for ${HONEYTOKEN_ALERT_WINDOW_MS / 60000} minutes)`,
+          event: entry
+        }),
+        signal: AbortSignal.timeout(5000)
+      });
+
+      if (!response.ok) {
+        console.error('Honeytoken webhook responded with', response.status);
+      }
+    } catch (err) {
+      console.error('Honeytoken webhook failed:', err);
+    }
+  }
+
+  if (alertEmail) {
+    await sendMail({
+      to: alertEmail,
+      template: 'honeytoken_alert',
+      data: {
+        email: entry.email,
+        ip: entry.ip,
+        fingerprint: entry.fingerprint || 'unknown',
+        userAgent: entry.user_agent || 'unknown',
+        when: entry.created_at,
+        quietMinutes: HONEYTOKEN_ALERT_WINDOW_MS / 60000
+      }
+    });
+  }
+}
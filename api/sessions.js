@@ -0,0 +1,121 @@
+// pages/api/sessions.js
+import { createClient } from '@supabase/supabase-js';
+import cookie from 'cookie';
+import { getSessionUser, parseBody } from './authUtils.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // Set CORS headers for Vercel
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const auth = await getSessionUser(supabase, req);
+    if (!auth) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+
+    const { session: currentSession, user } = auth;
+
+    // List active sessions
+    if (req.method === 'GET') {
+      const { data: sessions, error } = await supabase
+        .from('sessions')
+        .select('id, created_at, expires_at, context')
+        .eq('user_email', user.email)
+        .gt('expires_at', new Date().toISOString())
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Sessions fetch error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to load sessions' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        sessions: (sessions || []).map(session => ({
+          id: session.id,
+          current: session.id === currentSession.id,
+          ip: session.context?.ip || null,
+          user_agent: session.context?.user_agent || null,
+          signed_in_at: session.context?.timestamp || session.created_at,
+          expires_at: session.expires_at
+        }))
+      });
+    }
+
+    // Revoke one session, or every session except this one
+    if (req.method === 'DELETE') {
+      const { session_id, others } = parseBody(req);
+
+      if (others) {
+        const { error } = await supabase
+          .from('sessions')
+          .delete()
+          .eq('user_email', user.email)
+          .neq('id', currentSession.id);
+
+        if (error) {
+          console.error('Sign out everywhere error:', error);
+          return res.status(500).json({ success: false, error: 'Failed to sign out other sessions' });
+        }
+
+        return res.status(200).json({ success: true, message: 'Signed out of all other sessions' });
+      }
+
+      if (!session_id) {
+        return res.status(400).json({ success: false, error: 'Provide session_id or others: true' });
+      }
+
+      // Scoped to the user's own sessions so one user can't revoke another's
+      const { data: revoked, error } = await supabase
+        .from('sessions')
+        .delete()
+        .eq('id', session_id)
+        .eq('user_email', user.email)
+        .select('id');
+
+      if (error) {
+        console.error('Session revoke error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to revoke session' });
+      }
+
+      if (!revoked || revoked.length === 0) {
+        return res.status(404).json({ success: false, error: 'Session not found' });
+      }
+
+      // Revoking the current session is a logout
+      if (String(session_id) === String(currentSession.id)) {
+        res.setHeader('Set-Cookie', cookie.serialize('__Host-session_secure', '', {
+          httpOnly: true,
+          secure: true,
+          sameSite: 'strict',
+          maxAge: 0,
+          path: '/'
+        }));
+      }
+
+      return res.status(200).json({ success: true, message: 'Session revoked' });
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+
+  } catch (err) {
+    console.error('Sessions API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
@@ -0,0 +1,219 @@
+// pages/api/signup.js
+import { createClient } from '@supabase/supabase-js';
+import bcrypt from 'bcrypt';
+import {
+  verifyCaptcha,
+  passwordStrongEnough,
+  generateOneTimeToken,
+  getBaseUrl,
+  getClientIp,
+  parseBody,
+  normalizeEmail,
+  USERNAME_PATTERN,
+  USERNAME_RULES
+} from './authUtils.js';
+import { sendMail, pickLocale } from './mailer.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from './securityEvents.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+  {
+    auth: {
+      persistSession: false
+    }
+  }
+);
+
+const BCRYPT_ROUNDS = 12;
+const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Create an email_verifications row and mail the link
+async function sendAccountVerification(req, user) {
+  const { token, tokenHash } = generateOneTimeToken();
+
+  // Only one outstanding link per user
+  await supabase
+    .from('email_verifications')
+    .delete()
+    .eq('user_id', user.id);
+
+  const { error: insertError } = await supabase
+    .from('email_verifications')
+    .insert({
+      user_id: user.id,
+      token_hash: tokenHash,
+      expires_at: new Date(Date.now() + VERIFICATION_TTL_MS).toISOString()
+    });
+
+  if (insertError) {
+    console.error('Verification token insert failed:', insertError);
+    return false;
+  }
+
+  const link = `${getBaseUrl(req)}/api/verify-email?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    template: 'verify_account',
+    locale: pickLocale(req),
+    data: { username: user.username, link }
+  });
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers for Vercel
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const body = parseBody(req);
+    const email = normalizeEmail(body.email);
+    const username = (body.username || '').trim();
+    const { password, captcha_token } = body;
+
+    if (!email || !password || !username) {
+      return res.status(400).json({ success: false, error: 'Email, username and password are required' });
+    }
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ success: false, error: 'Please enter a valid email address' });
+    }
+
+    if (!USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({ success: false, error: USERNAME_RULES });
+    }
+
+    if (!passwordStrongEnough(password)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password does not meet security requirements. Must be 8+ characters with uppercase, lowercase, number, and special character.'
+      });
+    }
+
+    const ip = getClientIp(req);
+
+    const captchaOk = await verifyCaptcha(captcha_token, ip);
+    if (!captchaOk) {
+      await recordSecurityEvent(supabase, req, {
+        type: SECURITY_EVENTS.CAPTCHA_FAILED,
+        email,
+        details: { route: 'signup' }
+      });
+      return res.status(403).json({ success: false, error: 'CAPTCHA verification failed. Please try again.' });
+    }
+
+    // Existing account with this email?
+    const { data: existingEmail, error: emailError } = await supabase
+      .from('users')
+      .select('id, email, username, verified')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (emailError) {
+      console.error('Supabase fetch error:', emailError);
+      return res.status(500).json({ success: false, error: 'Registration service temporarily unavailable' });
+    }
+
+    if (existingEmail?.verified) {
+      return res.status(409).json({ success: false, error: 'An account with this email already exists' });
+    }
+
+    // Check if username is available
+    const { data: existingUser } = await supabase
+      .from('users')
+      .select('id')
+      .eq('username', username)
+      .maybeSingle();
+
+    if (existingUser && existingUser.id !== existingEmail?.id) {
+      return res.status(400).json({ success: false, error: 'Username already taken' });
+    }
+
+    const encryptedPassword = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    if (existingEmail) {
+      // Unverified account: whoever created it never proved they own the address, so
+      // this signup's password and username replace theirs. Otherwise someone could
+      // pre-register a victim's email and get into the account once the victim verifies it.
+      const { data: user, error: updateError } = await supabase
+        .from('users')
+        .update({ username, encrypted_password: encryptedPassword })
+        .eq('id', existingEmail.id)
+        .eq('verified', false)
+        .select('id, email, username')
+        .single();
+
+      if (updateError) {
+        console.error('Unverified user update failed:', updateError);
+        return res.status(500).json({ success: false, error: 'Failed to create account' });
+      }
+
+      const resent = await sendAccountVerification(req, user);
+      if (!resent) {
+        return res.status(500).json({ success: false, error: 'Failed to send verification email. Please try again.' });
+      }
+      return res.status(200).json({
+        success: true,
+        verification_required: true,
+        message: 'Check your inbox for a link to verify your email address.'
+      });
+    }
+
+    const { data: user, error: insertError } = await supabase
+      .from('users')
+      .insert({
+        email,
+        username,
+        encrypted_password: encryptedPassword,
+        verified: false,
+        completed_profile: false,
+        created_at: new Date().toISOString()
+      })
+      .select('id, email, username')
+      .single();
+
+    if (insertError) {
+      console.error('User insert failed:', insertError);
+      return res.status(500).json({ success: false, error: 'Failed to create account' });
+    }
+
+    const emailSent = await sendAccountVerification(req, user);
+    if (!emailSent) {
+      return res.status(500).json({
+        success: false,
+        error: 'Account created, but we could not send the verification email. Please sign up again to resend it.'
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      verification_required: true,
+      message: 'Account created! Check your inbox for a link to verify your email address.',
+      user: {
+        id: user.id,
+        email: user.email,
+        username: user.username
+      }
+    });
+
+  } catch (err) {
+    console.error('SIGNUP ERROR:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
@@ -0,0 +1,91 @@
+import { execFile } from 'child_process';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import sharp from 'sharp';
+
+const FRAME_TIMEOUT_MS = 30 * 1000;
+
+// Where candidate frames are taken, as fractions of the duration
+export const THUMBNAIL_POSITIONS = [0.1, 0.5, 0.9];
+// Index in THUMBNAIL_POSITIONS used as the cover until the owner picks another
+export const DEFAULT_THUMBNAIL_INDEX = 1;
+
+/**
+ * Grab a single frame as PNG. `-ss` before `-i` seeks by keyframe, so over a
+ * URL only a small range of the file is fetched.
+ * @param {string} input file path or URL
+ * @param {number} seconds
+ * @returns {Promise<Buffer>}
+ */
+export function extractFrame(input, seconds) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      process.env.FFMPEG_PATH || ffmpegInstaller.path,
+      ['-v', 'error', '-ss', seconds.toFixed(3), '-i', input, '-frames:v', '1', '-f', 'image2pipe', '-vcodec', 'png', 'pipe:1'],
+      { encoding: 'buffer', timeout: FRAME_TIMEOUT_MS, maxBuffer: 50 * 1024 * 1024 },
+      (error, stdout, stderr) => {
+        if (error || !stdout.length) {
+          reject(new Error(`ffmpeg frame extraction failed: ${stderr.toString() || error?.message || 'no frame'}`));
+          return;
+        }
+        resolve(stdout);
+      }
+    );
+  });
+}
+
+/**
+ * Extract candidate frames, resize them with sharp and store them in the
+ * `covers` bucket as `<userId>/<videoId>_thumb_<n>.jpg`.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {{ videoId: string, userId: string, input: string, duration: number|null }} video
+ * @returns {Promise<string[]>} public URLs, in THUMBNAIL_POSITIONS order (failed frames are skipped)
+ */
+export async function generateThumbnails(supabase, { videoId, userId, input, duration }) {
+  // Without a probed duration, one frame just past the start is the best we can do
+  const times = duration
+    ? THUMBNAIL_POSITIONS.map(position => duration * position)
+    : [1];
+
+  const urls = [];
+
+  for (const [index, seconds] of times.entries()) {
+    try {
+      const frame = await extractFrame(input, seconds);
+      const thumbnail = await sharp(frame)
+        .resize(1280, 720, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 80, mozjpeg: true })
+        .toBuffer();
+
+      const path = `${userId}/${videoId}_thumb_${index}.jpg`;
+      const { error } = await supabase.storage
+        .from('covers')
+        .upload(path, thumbnail, {
+          contentType: 'image/jpeg',
+          cacheControl: 'public, max-age=31536000',
+          upsert: true,
+        });
+
+      if (error) {
+        console.error('⚠️ Thumbnail upload failed:', error);
+        continue;
+      }
+
+      const { data } = supabase.storage.from('covers').getPublicUrl(path);
+      urls.push(data.publicUrl);
+    } catch (err) {
+      console.error(`⚠️ Thumbnail at ${seconds.toFixed(1)}s failed:`, err.message);
+    }
+  }
+
+  console.log(`🖼️ Generated ${urls.length} thumbnail candidate(s) for ${videoId}`);
+  return urls;
+}
+
+/**
+ * Cover to use by default from a list of candidates
+ * @param {string[]} candidates
+ * @returns {string|null}
+ */
+export function defaultThumbnail(candidates) {
+  return candidates[DEFAULT_THUMBNAIL_INDEX] || candidates[0] || null;
+}
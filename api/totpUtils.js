@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+
+// RFC 6238 defaults understood by every authenticator app
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// RFC 4226 HOTP with dynamic truncation
+function hotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary =
+    ((digest[offset] & 0x7f) << 24) |
+    (digest[offset + 1] << 16) |
+    (digest[offset + 2] << 8) |
+    digest[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Create a new random base32 TOTP secret (160 bits, as RFC 4226 recommends)
+ * @returns {string}
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * otpauth:// URI for authenticator apps; render it as a QR code on the client
+ * @param {string} secret
+ * @param {string} accountName
+ * @returns {string}
+ */
+export function buildProvisioningUri(secret, accountName) {
+  const issuer = process.env.TOTP_ISSUER || 'Vibro';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+    `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+}
+
+/**
+ * Check a TOTP code, allowing one step of clock drift either way.
+ * @param {string} secret
+ * @param {string} code
+ * @param {number} [lastUsedStep] the step of the last accepted code, to block replays
+ * @returns {number|null} the matched time step, or null if the code is invalid
+ */
+export function verifyTotp(secret, code, lastUsedStep = -1) {
+  if (!secret || !/^\d{6}$/.test(String(code || ''))) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    if (step <= lastUsedStep) continue;
+    const expected = Buffer.from(hotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Generate one-time recovery codes. Only the hashes are stored.
+ * @returns {{ codes: string[], hashes: string[] }}
+ */
+export function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * @param {string} code
+ * @returns {string}
+ */
+export function hashRecoveryCode(code) {
+  const normalized = String(code).trim().toLowerCase().replace(/\s/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function secretKey() {
+  return crypto.scryptSync(process.env.SESSION_SECRET || 'fallback-secret-key-32-bytes-long-here', 'totp-salt', 32);
+}
+
+/**
+ * AES-GCM encrypt a TOTP secret before it is written to the users table
+ * @param {string} secret
+ * @returns {string}
+ */
+export function encryptTotpSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', secretKey(), iv);
+  const encrypted = cipher.update(secret, 'utf8', 'hex') + cipher.final('hex');
+  const tag = cipher.getAuthTag().toString('hex');
+  return `${iv.toString('hex')}:${tag}:${encrypted}`;
+}
+
+/**
+ * @param {string} stored
+ * @returns {string|null}
+ */
+export function decryptTotpSecret(stored) {
+  if (!stored) return null;
+  try {
+    const [iv, tag, encrypted] = stored.split(':');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', secretKey(), Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+    return decipher.update(encrypted, 'hex', 'utf8') + decipher.final('utf8');
+  } catch (err) {
+    console.error('TOTP secret decrypt failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Check an authenticator or recovery code for a user with TOTP enabled,
+ * recording the used step / burning the recovery code on success.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {object} user row with totp_* columns
+ * @param {'totp'|'recovery'} method
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+export async function consumeSecondFactor(supabase, user, method, code) {
+  if (!user.totp_enabled) return false;
+
+  if (method === 'recovery') {
+    const hash = hashRecoveryCode(code);
+    const remaining = user.totp_recovery_codes || [];
+    if (!remaining.includes(hash)) return false;
+
+    const { error } = await supabase
+      .from('users')
+      .update({ totp_recovery_codes: remaining.filter(h => h !== hash) })
+      .eq('id', user.id);
+
+    if (error) {
+      console.error('Failed to consume recovery code:', error);
+      return false;
+    }
+    return true;
+  }
+
+  const step = verifyTotp(decryptTotpSecret(user.totp_secret), code, user.totp_last_step ?? -1);
+  if (step === null) return false;
+
+  const { error } = await supabase
+    .from('users')
+    .update({ totp_last_step: step })
+    .eq('id', user.id);
+
+  if (error) {
+    console.error('Failed to record TOTP step:', error);
+    return false;
+  }
+  return true;
+}
@@ -0,0 +1,197 @@
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+
+const SEGMENT_SECONDS = 6;
+
+// Long sources are transcoded a window at a time, across as many runs as it takes.
+// A multiple of SEGMENT_SECONDS so every window starts on a segment boundary.
+export const WINDOW_SECONDS = 30;
+
+// HLS rungs, highest first. Only rungs at or below the source height are produced.
+export const HLS_LADDER = [
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 }
+];
+
+/**
+ * Rungs worth producing for a source: never upscale, but always produce at
+ * least one (a tiny source gets a single rung at its own height).
+ * @param {number|null} sourceHeight
+ */
+export function pickLadder(sourceHeight) {
+  if (!sourceHeight) return HLS_LADDER.filter(rung => rung.height <= 720);
+
+  const rungs = HLS_LADDER.filter(rung => rung.height <= sourceHeight);
+  if (rungs.length > 0) return rungs;
+
+  const lowest = HLS_LADDER[HLS_LADDER.length - 1];
+  const height = sourceHeight - (sourceHeight % 2); // x264 needs even dimensions
+  return [{ ...lowest, name: `${height}p`, height }];
+}
+
+// One process, decoded once, with a separate HLS output per rung. (A single
+// output with -var_stream_map crashes on teardown in some ffmpeg builds.)
+// Each window's timestamps and segment numbers carry on from the previous window,
+// so the per-window segments join into one playlist.
+function ffmpegArgs(input, outputDir, rungs, hasAudio, { start, seconds }) {
+  const split = `[0:v]split=${rungs.length}${rungs.map((_, i) => `[v${i}]`).join('')}`;
+  const scales = rungs.map((rung, i) => `[v${i}]scale=-2:${rung.height}[v${i}out]`);
+
+  const args = ['-v', 'error', '-y'];
+  if (start > 0) args.push('-ss', String(start));
+  if (seconds) args.push('-t', String(seconds));
+  args.push('-i', input, '-filter_complex', [split, ...scales].join(';'));
+
+  rungs.forEach((rung, i) => {
+    args.push('-map', `[v${i}out]`);
+    if (hasAudio) {
+      args.push('-map', '0:a:0', '-c:a', 'aac', '-b:a', `${rung.audioBitrate}k`, '-ac', '2');
+    }
+    args.push(
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-profile:v', 'main',
+      '-pix_fmt', 'yuv420p',
+      '-b:v', `${rung.videoBitrate}k`,
+      '-maxrate', `${Math.round(rung.videoBitrate * 1.07)}k`,
+      '-bufsize', `${rung.videoBitrate * 1.5}k`,
+      // Keyframe at every segment boundary so players can switch renditions cleanly
+      '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_SECONDS})`,
+      '-sc_threshold', '0',
+      '-output_ts_offset', String(start),
+      '-f', 'hls',
+      '-hls_time', String(SEGMENT_SECONDS),
+      '-hls_playlist_type', 'vod',
+      '-start_number', String(Math.round(start / SEGMENT_SECONDS)),
+      '-hls_segment_filename', path.join(outputDir, String(i), 'segment_%05d.ts'),
+      path.join(outputDir, String(i), 'index.m3u8')
+    );
+  });
+
+  return args;
+}
+
+// [{ file, duration }] from a media playlist ffmpeg wrote
+function parseMediaPlaylist(text) {
+  const segments = [];
+  let duration = null;
+
+  for (const line of text.split('\n').map(entry => entry.trim())) {
+    if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice('#EXTINF:'.length));
+    } else if (line && !line.startsWith('#') && duration !== null) {
+      segments.push({ file: line, duration });
+      duration = null;
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Media playlist for one rung, from every window's segments
+ * @param {{ file: string, duration: number }[]} segments
+ * @returns {string}
+ */
+export function mediaPlaylist(segments) {
+  const targetDuration = Math.ceil(Math.max(SEGMENT_SECONDS, ...segments.map(segment => segment.duration)));
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${targetDuration}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD'
+  ];
+
+  for (const segment of segments) {
+    lines.push(`#EXTINF:${segment.duration.toFixed(6)},`, segment.file);
+  }
+
+  lines.push('#EXT-X-ENDLIST');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * @param {object[]} rungs
+ * @param {{ width: number|null, height: number|null, hasAudio: boolean }} source
+ * @returns {string}
+ */
+export function masterPlaylist(rungs, { width, height, hasAudio }) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+  rungs.forEach((rung, i) => {
+    const bandwidth = (rung.videoBitrate + (hasAudio ? rung.audioBitrate : 0)) * 1000;
+    const videoCodec = rung.height > 720 ? 'avc1.4d4028' : 'avc1.4d401f'; // Main profile, level 4.0 / 3.1
+    const codecs = hasAudio ? `${videoCodec},mp4a.40.2` : videoCodec;
+    let attributes = `BANDWIDTH=${bandwidth},CODECS="${codecs}"`;
+
+    if (width && height) {
+      const scaledWidth = Math.round((width * rung.height) / height / 2) * 2;
+      attributes += `,RESOLUTION=${scaledWidth}x${rung.height}`;
+    }
+
+    lines.push(`#EXT-X-STREAM-INF:${attributes}`, `${i}/index.m3u8`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Transcode one window of a video into HLS segments for each rung, in a temp directory.
+ * @param {string} input file path or URL
+ * @param {{ rungs: object[], hasAudio: boolean, start: number, seconds: number|null, timeoutMs: number }} window
+ *   `seconds` null transcodes everything from `start` on
+ * @returns {Promise<{ dir: string, files: string[], segments: { file: string, duration: number }[][] }>}
+ *   files are relative to dir, segments are per rung; caller removes dir
+ */
+export async function transcodeWindow(input, { rungs, hasAudio, start, seconds, timeoutMs }) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vibro-hls-'));
+
+  // The caller only learns `dir` on success, so a failed run cleans up after itself
+  try {
+    // ffmpeg doesn't create the per-rendition folders itself
+    await Promise.all(rungs.map((_, i) => fs.mkdir(path.join(dir, String(i)))));
+
+    await new Promise((resolve, reject) => {
+      execFile(
+        process.env.FFMPEG_PATH || ffmpegInstaller.path,
+        ffmpegArgs(input, dir, rungs, hasAudio, { start, seconds }),
+        { timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 },
+        (error, stdout, stderr) => {
+          if (error) {
+            reject(new Error(`ffmpeg transcode failed: ${stderr || error.message}`));
+            return;
+          }
+          resolve();
+        }
+      );
+    });
+
+    // ffmpeg's own playlists only cover this window; the segments go into the final ones
+    const files = [];
+    const segments = [];
+    for (let i = 0; i < rungs.length; i++) {
+      const rungSegments = parseMediaPlaylist(await fs.readFile(path.join(dir, String(i), 'index.m3u8'), 'utf8'));
+      segments.push(rungSegments);
+      files.push(...rungSegments.map(segment => `${i}/${segment.file}`));
+    }
+
+    return { dir, files, segments };
+  } catch (err) {
+    await fs.rm(dir, { recursive: true, force: true });
+    throw err;
+  }
+}
+
+/**
+ * @param {string} file
+ * @returns {string}
+ */
+export function hlsContentType(file) {
+  return file.endsWith('.m3u8') ? 'application/vnd.apple.mpegurl' : 'video/mp2t';
+}
@@ -0,0 +1,170 @@
+// pages/api/two-factor.js
+import { createClient } from '@supabase/supabase-js';
+import { getSessionUser, parseBody } from './authUtils.js';
+import {
+  generateTotpSecret,
+  buildProvisioningUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  encryptTotpSecret,
+  decryptTotpSecret,
+  consumeSecondFactor
+} from './totpUtils.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // Set CORS headers for Vercel
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const auth = await getSessionUser(supabase, req);
+    if (!auth) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+
+    const { user } = auth;
+
+    // Current status
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        success: true,
+        totp_enabled: !!user.totp_enabled,
+        recovery_codes_remaining: (user.totp_recovery_codes || []).length
+      });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    const { action, code, method = 'totp' } = parseBody(req);
+
+    switch (action) {
+      // Step 1: create a pending secret and hand back the provisioning URI
+      case 'enroll': {
+        if (user.totp_enabled) {
+          return res.status(400).json({ success: false, error: 'Authenticator app is already enabled' });
+        }
+
+        const secret = generateTotpSecret();
+        const { error } = await supabase
+          .from('users')
+          .update({ totp_pending_secret: encryptTotpSecret(secret) })
+          .eq('id', user.id);
+
+        if (error) {
+          console.error('TOTP enroll error:', error);
+          return res.status(500).json({ success: false, error: 'Failed to start enrollment' });
+        }
+
+        return res.status(200).json({
+          success: true,
+          secret,
+          otpauth_uri: buildProvisioningUri(secret, user.email),
+          message: 'Scan the QR code with your authenticator app, then confirm with a code.'
+        });
+      }
+
+      // Step 2: prove the app is set up, then switch TOTP on
+      case 'activate': {
+        const pendingSecret = decryptTotpSecret(user.totp_pending_secret);
+        if (!pendingSecret) {
+          return res.status(400).json({ success: false, error: 'No enrollment in progress' });
+        }
+
+        const step = verifyTotp(pendingSecret, code);
+        if (step === null) {
+          return res.status(401).json({ success: false, error: 'Invalid authenticator code' });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        const { error } = await supabase
+          .from('users')
+          .update({
+            totp_enabled: true,
+            totp_secret: encryptTotpSecret(pendingSecret),
+            totp_pending_secret: null,
+            totp_last_step: step,
+            totp_recovery_codes: hashes
+          })
+          .eq('id', user.id);
+
+        if (error) {
+          console.error('TOTP activate error:', error);
+          return res.status(500).json({ success: false, error: 'Failed to enable authenticator app' });
+        }
+
+        return res.status(200).json({
+          success: true,
+          message: 'Authenticator app enabled. Store these recovery codes somewhere safe; each works once.',
+          recovery_codes: codes
+        });
+      }
+
+      case 'regenerate_recovery_codes': {
+        if (!await consumeSecondFactor(supabase, user, method, code)) {
+          return res.status(401).json({ success: false, error: 'Invalid authenticator code' });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        const { error } = await supabase
+          .from('users')
+          .update({ totp_recovery_codes: hashes })
+          .eq('id', user.id);
+
+        if (error) {
+          console.error('Recovery code regenerate error:', error);
+          return res.status(500).json({ success: false, error: 'Failed to generate recovery codes' });
+        }
+
+        return res.status(200).json({ success: true, recovery_codes: codes });
+      }
+
+      case 'disable': {
+        if (!await consumeSecondFactor(supabase, user, method, code)) {
+          return res.status(401).json({ success: false, error: 'Invalid authenticator code' });
+        }
+
+        const { error } = await supabase
+          .from('users')
+          .update({
+            totp_enabled: false,
+            totp_secret: null,
+            totp_pending_secret: null,
+            totp_last_step: null,
+            totp_recovery_codes: null
+          })
+          .eq('id', user.id);
+
+        if (error) {
+          console.error('TOTP disable error:', error);
+          return res.status(500).json({ success: false, error: 'Failed to disable authenticator app' });
+        }
+
+        return res.status(200).json({ success: true, message: 'Authenticator app disabled' });
+      }
+
+      default:
+        return res.status(400).json({ success: false, error: 'Unknown action' });
+    }
+
+  } catch (err) {
+    console.error('Two-factor API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
@@ -1,6 +1,8 @@
 // pages/api/update-profile.js
 import { createClient } from '@supabase/supabase-js';
 import cookie from 'cookie';
+import Busboy from 'busboy';
+import { USERNAME_PATTERN, USERNAME_RULES } from './authUtils.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -40,13 +42,13 @@ export default async function handler(req, res) {
     const userId = session.user_id;
 
     // Parse multipart form data for avatar upload
-    const Busboy = require('busboy');
     const busboy = Busboy({ headers: req.headers });
 
     let avatarBuffer = null;
     let avatarFilename = '';
-    let username = '';
-    let bio = '';
+    // undefined = not submitted, so a partial form (e.g. the username picker) leaves the rest alone
+    let username;
+    let bio;
 
     busboy.on('field', (fieldname, val) => {
       if (fieldname === 'username') username = val.trim();
@@ -71,7 +73,11 @@ export default async function handler(req, res) {
         const updates = {};
 
         // Update username if provided
-        if (username) {
+        if (username !== undefined) {
+          if (!USERNAME_PATTERN.test(username)) {
+            return res.status(400).json({ error: USERNAME_RULES });
+          }
+
           // Check if username is available
           const { data: existingUser } = await supabase
             .from('users')
@@ -84,6 +90,8 @@ export default async function handler(req, res) {
             return res.status(400).json({ error: 'Username already taken' });
           }
           updates.username = username;
+          // Picking a username is the last step of sign-up (e.g. first Google login)
+          updates.completed_profile = true;
         }
 
         // Update bio if provided
@@ -138,7 +146,7 @@ export default async function handler(req, res) {
         // Get updated user data
         const { data: updatedUser } = await supabase
           .from('users')
-          .select('id, email, username, avatar_url, bio, created_at, online')
+          .select('id, email, username, avatar_url, bio, created_at, online, completed_profile')
           .eq('id', userId)
           .maybeSingle();
 
@@ -3,14 +3,20 @@ import { createClient } from '@supabase/supabase-js';
 import cookie from 'cookie';
 import { v4 as uuidv4 } from 'uuid';
 import Busboy from 'busboy';
+import { checkRateLimit } from './rateLimit.js';
+import { authenticateApiToken } from './patUtils.js';
+import { buildVideoRow, recordUploadOnUser, storagePathFromUrl, resolvePublishState, MAX_FILE_SIZE } from './videoUtils.js';
+import { sniffUpload, probeVideoContainer, probeImage, SNIFF_BYTES } from './fileValidation.js';
+import { generateThumbnails, defaultThumbnail } from './thumbnails.js';
+import { validateCaption, saveCaption, CAPTION_FIELD_PREFIX } from './captions.js';
+import { checkUploadQuota, checkDurationQuota } from './quotas.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from './securityEvents.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-const MAX_FILE_SIZE = 500 * 1024 * 1024; // 500MB
-
 export const config = {
   api: {
     bodyParser: false, // Disable default bodyParser to handle multipart manually
@@ -37,46 +43,75 @@ export default async function handler(req, res) {
   }
 
   try {
-    // 1. Verify session (same as your original code)
-    const cookies = cookie.parse(req.headers.cookie || '');
-    const sessionToken = cookies['__Host-session_secure'] || cookies.session_secure;
+    // 1. Authenticate: personal access token (scripts/CI) or session cookie
+    let user;
+    const tokenAuth = await authenticateApiToken(supabase, req, 'videos:write');
+
+    if (tokenAuth) {
+      if (tokenAuth.error) {
+        console.error('❌ API token rejected:', tokenAuth.error);
+        return res.status(tokenAuth.status).json({ success: false, error: tokenAuth.error });
+      }
+      user = tokenAuth.user;
+    } else {
+      const cookies = cookie.parse(req.headers.cookie || '');
+      const sessionToken = cookies['__Host-session_secure'] || cookies.session_secure;
+
+      if (!sessionToken) {
+        console.error('❌ No session token found');
+        return res.status(401).json({ success: false, error: 'Not authenticated' });
+      }
 
-    if (!sessionToken) {
-      console.error('❌ No session token found');
-      return res.status(401).json({ success: false, error: 'Not authenticated' });
-    }
+      const { data: session, error: sessionError } = await supabase
+        .from('sessions')
+        .select('user_email, expires_at')
+        .eq('session_token', sessionToken)
+        .maybeSingle();
 
-    const { data: session, error: sessionError } = await supabase
-      .from('sessions')
-      .select('user_email, expires_at')
-      .eq('session_token', sessionToken)
-      .maybeSingle();
+      if (sessionError || !session) {
+        console.error('❌ Session error:', sessionError);
+        return res.status(401).json({ success: false, error: 'Session expired or invalid' });
+      }
 
-    if (sessionError || !session) {
-      console.error('❌ Session error:', sessionError);
-      return res.status(401).json({ success: false, error: 'Session expired or invalid' });
-    }
+      if (new Date(session.expires_at) < new Date()) {
+        console.error('❌ Session expired');
+        await supabase.from('sessions').delete().eq('session_token', sessionToken);
+        return res.status(401).json({ success: false, error: 'Session expired' });
+      }
 
-    if (new Date(session.expires_at) < new Date()) {
-      console.error('❌ Session expired');
-      await supabase.from('sessions').delete().eq('session_token', sessionToken);
-      return res.status(401).json({ success: false, error: 'Session expired' });
-    }
+      const { data: sessionUser, error: userError } = await supabase
+        .from('users')
+        .select('id, email, username, video_count')
+        .eq('email', session.user_email)
+        .maybeSingle();
 
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('id, email, username, video_count')
-      .eq('email', session.user_email)
-      .maybeSingle();
+      if (userError || !sessionUser) {
+        console.error('❌ User error:', userError);
+        return res.status(401).json({ success: false, error: 'User not found' });
+      }
 
-    if (userError || !user) {
-      console.error('❌ User error:', userError);
-      return res.status(401).json({ success: false, error: 'User not found' });
+      user = sessionUser;
     }
 
     console.log('✅ User authenticated:', user.email, 'ID:', user.id);
     const userId = user.id;
 
+    // Rate limit before reading the (potentially huge) body
+    const { allowed } = await checkRateLimit(res, 'upload', userId);
+    if (!allowed) {
+      console.error('❌ Upload rate limit hit for user', userId);
+      await recordSecurityEvent(supabase, req, { type: SECURITY_EVENTS.RATE_LIMITED, userId, details: { policy: 'upload' } });
+      return res.status(429).json({ success: false, error: 'Upload limit reached. Please try again later.' });
+    }
+
+    // Quota check on the declared size, so an over-quota body is never read
+    const declaredSize = parseInt(req.headers['content-length'], 10) || 0;
+    let quotaCheck = await checkUploadQuota(supabase, userId, declaredSize);
+    if (quotaCheck.error) {
+      console.error('❌ Upload quota hit for user', userId, quotaCheck.code);
+      return res.status(quotaCheck.status).json({ success: false, error: quotaCheck.error, code: quotaCheck.code });
+    }
+
     // 2. Parse multipart form data using busboy
     const formData = await parseMultipartFormData(req);
 
@@ -89,6 +124,50 @@ export default async function handler(req, res) {
       return res.status(400).json({ success: false, error: 'Title must be at least 3 characters' });
     }
 
+    // Chunked requests have no Content-Length; check again now the size is known
+    if (!declaredSize) {
+      quotaCheck = await checkUploadQuota(supabase, userId, formData.video.buffer.length);
+      if (quotaCheck.error) {
+        return res.status(quotaCheck.status).json({ success: false, error: quotaCheck.error, code: quotaCheck.code });
+      }
+    }
+
+    // Draft, scheduled or published right away
+    const { state: publish, error: publishError } = resolvePublishState(formData);
+    if (publishError) {
+      return res.status(400).json({ success: false, error: publishError });
+    }
+
+    // Trust the bytes, not the client's filename or mimeType
+    const videoCheck = sniffUpload(formData.video.buffer.subarray(0, SNIFF_BYTES), formData.video, 'video');
+    if (videoCheck.error) {
+      console.error('❌ Video rejected:', videoCheck.code, videoCheck.error);
+      return res.status(videoCheck.status).json({ success: false, error: videoCheck.error, code: videoCheck.code });
+    }
+
+    let coverFormat = null;
+    if (formData.cover && formData.cover.buffer) {
+      const coverCheck = sniffUpload(formData.cover.buffer.subarray(0, SNIFF_BYTES), formData.cover, 'image');
+      const coverProbe = coverCheck.error ? coverCheck : await probeImage(formData.cover.buffer, coverCheck.formatId);
+      if (coverProbe.error) {
+        console.error('❌ Cover rejected:', coverProbe.code, coverProbe.error);
+        return res.status(coverProbe.status).json({ success: false, error: `Cover image: ${coverProbe.error}`, code: coverProbe.code });
+      }
+      coverFormat = coverCheck.format;
+    }
+
+    // Optional caption tracks as caption_<language> files
+    const captionUploads = Object.entries(formData)
+      .filter(([field, value]) => field.startsWith(CAPTION_FIELD_PREFIX) && value?.buffer)
+      .map(([field, value]) => ({ language: field.slice(CAPTION_FIELD_PREFIX.length), content: value.buffer }));
+
+    for (const track of captionUploads) {
+      const captionCheck = validateCaption(track);
+      if (captionCheck.error) {
+        return res.status(captionCheck.status).json({ success: false, error: `Caption ${track.language}: ${captionCheck.error}` });
+      }
+    }
+
     // 4. Process settings JSON if present (sent by frontend)
     let settings = {};
     if (formData.settings) {
@@ -101,13 +180,12 @@ export default async function handler(req, res) {
 
     // 5. Upload video to Supabase storage
     const videoId = uuidv4();
-    const videoExt = formData.video.filename.split('.').pop().toLowerCase();
-    const videoName = `${userId}/${videoId}.${videoExt}`;
+    const videoName = `${userId}/${videoId}.${videoCheck.format.extension}`;
 
     const { error: videoUploadError } = await supabase.storage
       .from('videos')
       .upload(videoName, formData.video.buffer, {
-        contentType: formData.video.mimeType,
+        contentType: videoCheck.format.mimeType,
         cacheControl: 'public, max-age=31536000',
       });
 
@@ -118,16 +196,31 @@ export default async function handler(req, res) {
 
     const { data: videoUrlData } = supabase.storage.from('videos').getPublicUrl(videoName);
 
+    // The container must parse as the sniffed format; this also gives us the real
+    // duration, resolution and codecs (ffprobe only reads the headers)
+    const { media, ...containerCheck } = await probeVideoContainer(videoUrlData.publicUrl, videoCheck.formatId);
+    if (containerCheck.error) {
+      console.error('❌ Video rejected after probing:', containerCheck.code, containerCheck.error);
+      await supabase.storage.from('videos').remove([videoName]);
+      return res.status(containerCheck.status).json({ success: false, error: containerCheck.error, code: containerCheck.code });
+    }
+
+    const durationCheck = checkDurationQuota(quotaCheck.quota, media.duration);
+    if (durationCheck.error) {
+      console.error('❌ Video over duration quota:', media.duration);
+      await supabase.storage.from('videos').remove([videoName]);
+      return res.status(durationCheck.status).json({ success: false, error: durationCheck.error, code: durationCheck.code });
+    }
+
     // 6. Optional cover image upload
     let coverUrl = null;
-    if (formData.cover && formData.cover.buffer) {
-      const coverExt = formData.cover.filename.split('.').pop().toLowerCase();
-      const coverName = `${userId}/${videoId}.${coverExt}`;
+    if (coverFormat) {
+      const coverName = `${userId}/${videoId}.${coverFormat.extension}`;
 
       const { error: coverUploadError } = await supabase.storage
         .from('covers')
         .upload(coverName, formData.cover.buffer, {
-          contentType: formData.cover.mimeType,
+          contentType: coverFormat.mimeType,
           cacheControl: 'public, max-age=31536000',
         });
 
@@ -139,27 +232,35 @@ export default async function handler(req, res) {
       }
     }
 
+    // No cover: pick frames from the video instead of a stock placeholder
+    let thumbnailCandidates = [];
+    if (!coverUrl) {
+      thumbnailCandidates = await generateThumbnails(supabase, {
+        videoId,
+        userId,
+        input: videoUrlData.publicUrl,
+        duration: media.duration,
+      });
+      coverUrl = defaultThumbnail(thumbnailCandidates);
+    }
+
     // 7. Create video record in database
-    const videoData = {
+    const videoData = buildVideoRow({
       id: videoId,
-      user_id: userId,
-      title: formData.title.trim(),
-      description: formData.description?.trim() || null,
-      video_url: videoUrlData.publicUrl,
-      cover_url: coverUrl,
-      mime_type: formData.video.mimeType,
-      size: formData.video.buffer.length,
-      original_filename: formData.video.filename,
-      tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag) : [],
-      category: formData.category || 'other',
-      privacy: formData.privacy || 'public',
-      ai_generated: settings.aiGenerated || false,
-      allow_comments: settings.allowComments ?? true,
-      allow_ratings: settings.allowRatings ?? true,
-      show_view_count: settings.showViewCount ?? true,
-      created_at: new Date().toISOString(),
-      uploaded_at: new Date().toISOString(),
-    };
+      userId,
+      fields: formData,
+      settings,
+      file: {
+        url: videoUrlData.publicUrl,
+        mimeType: videoCheck.format.mimeType,
+        size: formData.video.buffer.length,
+        filename: formData.video.filename,
+      },
+      coverUrl,
+      thumbnailCandidates,
+      media,
+      publish,
+    });
 
     const { data: video, error: dbError } = await supabase
       .from('videos')
@@ -171,21 +272,28 @@ export default async function handler(req, res) {
       console.error('❌ Database insert failed:', dbError);
       // Clean up uploaded files
       await supabase.storage.from('videos').remove([videoName]);
-      if (coverUrl) {
-        const coverName = `${userId}/${videoId}.${formData.cover.filename.split('.').pop().toLowerCase()}`;
-        await supabase.storage.from('covers').remove([coverName]);
+      const coverPaths = [coverUrl, ...thumbnailCandidates]
+        .map(url => storagePathFromUrl(url, 'covers'))
+        .filter(Boolean);
+      if (coverPaths.length > 0) {
+        await supabase.storage.from('covers').remove([...new Set(coverPaths)]);
       }
       return res.status(500).json({ success: false, error: 'Failed to save video metadata' });
     }
 
     // 8. Update user's video count
-    await supabase
-      .from('users')
-      .update({
-        video_count: (user.video_count || 0) + 1,
-        last_upload: new Date().toISOString(),
-      })
-      .eq('id', userId);
+    await recordUploadOnUser(supabase, user);
+
+    // 9. Caption tracks (already validated; a storage hiccup here doesn't fail the upload)
+    const captions = [];
+    for (const track of captionUploads) {
+      const { caption, error: captionError } = await saveCaption(supabase, video, track);
+      if (caption) {
+        captions.push(caption);
+      } else {
+        console.warn(`⚠️ Caption ${track.language} not saved:`, captionError);
+      }
+    }
 
     console.log('✅ Upload completed successfully!');
     return res.status(200).json({
@@ -193,6 +301,7 @@ export default async function handler(req, res) {
       message: 'Video uploaded successfully',
       video: {
         ...video,
+        captions,
         user: {
           id: user.id,
           username: user.username,
@@ -0,0 +1,74 @@
+// pages/api/usage.js - the signed-in user's upload quota and how much of it is used
+import { createClient } from '@supabase/supabase-js';
+import { getSessionUser } from './authUtils.js';
+import { authenticateApiToken } from './patUtils.js';
+import { loadQuota, getUsage } from './quotas.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// null limit = unlimited, so nothing to subtract from
+function remaining(limit, used) {
+  return limit === null ? null : Math.max(0, limit - used);
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers for Vercel
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    let user;
+    const tokenAuth = await authenticateApiToken(supabase, req, 'videos:read');
+
+    if (tokenAuth) {
+      if (tokenAuth.error) {
+        return res.status(tokenAuth.status).json({ success: false, error: tokenAuth.error });
+      }
+      user = tokenAuth.user;
+    } else {
+      const auth = await getSessionUser(supabase, req);
+      if (!auth) {
+        return res.status(401).json({ success: false, error: 'Not authenticated' });
+      }
+      user = auth.user;
+    }
+
+    const [{ tier, limits }, usage] = await Promise.all([
+      loadQuota(supabase, user.id),
+      getUsage(supabase, user.id)
+    ]);
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({
+      success: true,
+      tier,
+      limits,
+      usage,
+      remaining: {
+        storage_bytes: remaining(limits.storage_bytes, usage.storage_bytes + usage.reserved_bytes),
+        uploads_today: remaining(limits.uploads_per_day, usage.uploads_last_24h)
+      }
+    });
+
+  } catch (err) {
+    console.error('Usage API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
@@ -0,0 +1,61 @@
+// pages/api/verify-email.js
+import { createClient } from '@supabase/supabase-js';
+import { hashToken } from './authUtils.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).send('Method not allowed');
+  }
+
+  try {
+    const token = req.query.token;
+    if (!token) return res.status(400).send('Missing token');
+
+    const tokenHash = hashToken(token);
+
+    const { data: verification, error } = await supabase
+      .from('email_verifications')
+      .select('user_id, expires_at')
+      .eq('token_hash', tokenHash)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Verification lookup error:', error);
+      return res.status(500).send('Internal server error');
+    }
+
+    if (!verification) {
+      return res.redirect('/login.html?verify_error=invalid');
+    }
+
+    // Links are single-use whether or not they are still valid
+    await supabase
+      .from('email_verifications')
+      .delete()
+      .eq('token_hash', tokenHash);
+
+    if (new Date(verification.expires_at) < new Date()) {
+      return res.redirect('/login.html?verify_error=expired');
+    }
+
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({ verified: true })
+      .eq('id', verification.user_id);
+
+    if (updateError) {
+      console.error('Failed to mark user verified:', updateError);
+      return res.status(500).send('Internal server error');
+    }
+
+    return res.redirect('/login.html?verified=1');
+  } catch (err) {
+    console.error('Verify email error:', err);
+    return res.status(500).send('Internal server error');
+  }
+}
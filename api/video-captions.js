@@ -0,0 +1,132 @@
+// pages/api/video-captions.js - caption tracks for a video
+//
+//   GET    ?videoId=                      -> tracks (anyone who can watch the video)
+//   POST   ?videoId=  (multipart or JSON) -> add/replace a track: language, label, `caption` file or `content`
+//   DELETE ?videoId=&language=            -> remove a track (owner only)
+import { createClient } from '@supabase/supabase-js';
+import { getSessionUser } from './authUtils.js';
+import { authenticateApiToken } from './patUtils.js';
+import { parseFormWithFile, isPublished } from './videoUtils.js';
+import { listCaptions, saveCaption, deleteCaption, MAX_CAPTION_SIZE } from './captions.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const config = {
+  api: {
+    bodyParser: false, // POST may carry a caption file
+  },
+};
+
+export default async function handler(req, res) {
+  // Set CORS headers for Vercel
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    // Signed-in viewer, if any; only changes require one
+    let user = null;
+    const tokenAuth = await authenticateApiToken(
+      supabase,
+      req,
+      req.method === 'GET' ? 'videos:read' : 'videos:write'
+    );
+
+    if (tokenAuth) {
+      if (tokenAuth.error) {
+        return res.status(tokenAuth.status).json({ success: false, error: tokenAuth.error });
+      }
+      user = tokenAuth.user;
+    } else {
+      const auth = await getSessionUser(supabase, req);
+      user = auth?.user || null;
+    }
+
+    if (!user && req.method !== 'GET') {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+
+    const { videoId } = req.query;
+    if (!videoId) {
+      return res.status(400).json({ success: false, error: 'videoId required' });
+    }
+
+    const { data: video } = await supabase
+      .from('videos')
+      .select('id, user_id, publish_status, deleted_at')
+      .eq('id', videoId)
+      .maybeSingle();
+
+    const isOwner = !!video && video.user_id === user?.id;
+
+    // Same answer for "missing", "not yours" and "not published yet"
+    if (!video || video.deleted_at || (req.method === 'GET' ? !isPublished(video) && !isOwner : !isOwner)) {
+      return res.status(404).json({ success: false, error: 'Video not found' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, captions: await listCaptions(supabase, video.id) });
+    }
+
+    if (req.method === 'DELETE') {
+      const { language } = req.query;
+      if (!language) {
+        return res.status(400).json({ success: false, error: 'language required' });
+      }
+
+      const removed = await deleteCaption(supabase, video.id, language);
+      if (!removed) {
+        return res.status(404).json({ success: false, error: 'No caption track for that language' });
+      }
+
+      return res.status(200).json({ success: true });
+    }
+
+    const form = await parseFormWithFile(req, 'caption', MAX_CAPTION_SIZE);
+    if (form.invalid) {
+      return res.status(400).json({ success: false, error: 'Invalid JSON body' });
+    }
+
+    if (form.file?.truncated) {
+      return res.status(413).json({ success: false, error: 'Caption file exceeds the 1MB limit' });
+    }
+
+    const content = form.file ? form.file.buffer : form.fields.content;
+    if (!form.fields.language || !content) {
+      return res.status(400).json({ success: false, error: 'language and a caption file (or content) are required' });
+    }
+
+    const { caption, error, status } = await saveCaption(supabase, video, {
+      language: form.fields.language,
+      label: form.fields.label,
+      content,
+    });
+
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    console.log(`💬 Caption track ${caption.language} saved for video ${video.id}`);
+    return res.status(200).json({ success: true, caption });
+
+  } catch (err) {
+    console.error('Video captions API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
@@ -0,0 +1,105 @@
+// pages/api/video-thumbnail.js - let the owner pick which generated frame is the cover
+import { createClient } from '@supabase/supabase-js';
+import { getSessionUser, parseBody } from './authUtils.js';
+import { authenticateApiToken } from './patUtils.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // Set CORS headers for Vercel
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    let user;
+    const tokenAuth = await authenticateApiToken(
+      supabase,
+      req,
+      req.method === 'POST' ? 'videos:write' : 'videos:read'
+    );
+
+    if (tokenAuth) {
+      if (tokenAuth.error) {
+        return res.status(tokenAuth.status).json({ success: false, error: tokenAuth.error });
+      }
+      user = tokenAuth.user;
+    } else {
+      const auth = await getSessionUser(supabase, req);
+      if (!auth) {
+        return res.status(401).json({ success: false, error: 'Not authenticated' });
+      }
+      user = auth.user;
+    }
+
+    const params = req.method === 'GET' ? req.query : parseBody(req);
+    const { videoId } = params;
+
+    if (!videoId) {
+      return res.status(400).json({ success: false, error: 'videoId required' });
+    }
+
+    const { data: video } = await supabase
+      .from('videos')
+      .select('id, user_id, cover_url, thumbnail_candidates')
+      .eq('id', videoId)
+      .maybeSingle();
+
+    // Same answer for "missing" and "not yours" so ids can't be probed
+    if (!video || video.user_id !== user.id) {
+      return res.status(404).json({ success: false, error: 'Video not found' });
+    }
+
+    const candidates = video.thumbnail_candidates || [];
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        success: true,
+        cover_url: video.cover_url,
+        candidates
+      });
+    }
+
+    const index = parseInt(params.index, 10);
+    if (!Number.isInteger(index) || !candidates[index]) {
+      return res.status(400).json({
+        success: false,
+        error: candidates.length
+          ? `index must be between 0 and ${candidates.length - 1}`
+          : 'This video has no generated thumbnails'
+      });
+    }
+
+    const { error } = await supabase
+      .from('videos')
+      .update({ cover_url: candidates[index] })
+      .eq('id', video.id);
+
+    if (error) {
+      console.error('Cover update error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to update cover' });
+    }
+
+    return res.status(200).json({ success: true, cover_url: candidates[index] });
+
+  } catch (err) {
+    console.error('Video thumbnail API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
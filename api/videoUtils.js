@@ -0,0 +1,346 @@
+import Busboy from 'busboy';
+
+export const MAX_FILE_SIZE = 500 * 1024 * 1024; // 500MB
+export const VIDEO_PRIVACY = ['public', 'unlisted', 'private'];
+export const VIDEO_TRASH_DAYS = 30; // Trashed videos can be restored until they are purged
+export const PUBLISH_STATUSES = ['draft', 'scheduled', 'published'];
+export const MAX_SCHEDULE_DAYS = 365;
+
+/**
+ * "a, b,,c" (form field) or ['a', 'b'] (JSON) -> ['a', 'b', 'c']
+ * @param {string|string[]} tags
+ * @returns {string[]}
+ */
+export function parseTags(tags) {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return list.map(tag => String(tag).trim()).filter(tag => tag);
+}
+
+/**
+ * Videos uploaded before drafts and scheduling existed have no publish_status;
+ * they were live from the start, so null counts as published
+ * @param {{ publish_status?: string|null }} video
+ * @returns {boolean}
+ */
+export function isPublished(video) {
+  return !video.publish_status || video.publish_status === 'published';
+}
+
+// The same rule as isPublished, as a PostgREST `or` filter
+export const PUBLISHED_FILTER = 'publish_status.is.null,publish_status.eq.published';
+
+/**
+ * Publishing columns from the form's `publish_status` and `publish_at`. Only
+ * published videos are listed; api/publish-scheduled.js promotes scheduled ones
+ * once `publish_at` passes. A schedule time already in the past publishes now.
+ * @param {{ publish_status?: string, publish_at?: string }} fields
+ * @returns {{ state?: { publish_status: string, publish_at: string|null, published_at: string|null }, error?: string }}
+ */
+export function resolvePublishState({ publish_status: status = 'published', publish_at: publishAt } = {}) {
+  const now = new Date();
+
+  if (!PUBLISH_STATUSES.includes(status)) {
+    return { error: `publish_status must be one of: ${PUBLISH_STATUSES.join(', ')}` };
+  }
+
+  if (status === 'draft') {
+    return { state: { publish_status: 'draft', publish_at: null, published_at: null } };
+  }
+
+  if (status === 'scheduled') {
+    const date = new Date(publishAt);
+    if (!publishAt || Number.isNaN(date.getTime())) {
+      return { error: 'publish_at must be a valid date for scheduled videos' };
+    }
+
+    if (date.getTime() - now.getTime() > MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+      return { error: `publish_at can be at most ${MAX_SCHEDULE_DAYS} days ahead` };
+    }
+
+    if (date > now) {
+      return { state: { publish_status: 'scheduled', publish_at: date.toISOString(), published_at: null } };
+    }
+  }
+
+  return { state: { publish_status: 'published', publish_at: null, published_at: now.toISOString() } };
+}
+
+/**
+ * Row for the `videos` table from the upload form fields. Shared by the
+ * multipart upload and the resumable (tus) upload so both store the same shape.
+ * @param {object} params
+ * @param {string} params.id
+ * @param {string} params.userId
+ * @param {{ title: string, description?: string, tags?: string, category?: string, privacy?: string }} params.fields
+ * @param {object} params.settings parsed settings JSON from the form
+ * @param {{ url: string, mimeType: string, size: number, filename: string }} params.file
+ * @param {string|null} params.coverUrl
+ * @param {string[]} [params.thumbnailCandidates] generated frames the owner can pick a cover from
+ * @param {object} [params.media] probed duration/resolution/codecs (see mediaProbe.js)
+ * @param {object} [params.publish] from resolvePublishState; published immediately when omitted
+ */
+export function buildVideoRow({ id, userId, fields, settings = {}, file, coverUrl = null, thumbnailCandidates = [], media = {}, publish = null }) {
+  const now = new Date().toISOString();
+
+  return {
+    id,
+    user_id: userId,
+    title: fields.title.trim(),
+    description: fields.description?.trim() || null,
+    video_url: file.url,
+    cover_url: coverUrl,
+    thumbnail_candidates: thumbnailCandidates,
+    mime_type: file.mimeType,
+    size: file.size,
+    original_filename: file.filename,
+    tags: parseTags(fields.tags),
+    category: fields.category || 'other',
+    privacy: fields.privacy || 'public',
+    ai_generated: settings.aiGenerated || false,
+    allow_comments: settings.allowComments ?? true,
+    allow_ratings: settings.allowRatings ?? true,
+    show_view_count: settings.showViewCount ?? true,
+    ...media,
+    ...(publish || { publish_status: 'published', publish_at: null, published_at: now }),
+    // Picked up by api/process-videos.js, which fills in hls_url
+    processing_status: 'pending',
+    hls_url: null,
+    created_at: now,
+    uploaded_at: now,
+  };
+}
+
+/**
+ * Bump the uploader's video_count and last_upload after a successful insert
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {{ id: string, video_count?: number }} user
+ */
+export async function recordUploadOnUser(supabase, user) {
+  await supabase
+    .from('users')
+    .update({
+      video_count: (user.video_count || 0) + 1,
+      last_upload: new Date().toISOString(),
+    })
+    .eq('id', user.id);
+}
+
+/**
+ * Turn a stored URL (public URL or bare object path) back into a bucket path
+ * @param {string} url
+ * @param {string} bucket
+ * @returns {string|null}
+ */
+export function storagePathFromUrl(url, bucket) {
+  if (!url) return null;
+  if (!url.startsWith('http')) return url;
+
+  const marker = `/storage/v1/object/public/${bucket}/`;
+  const index = url.indexOf(marker);
+  if (index === -1) return null;
+  return decodeURIComponent(url.slice(index + marker.length).split('?')[0]);
+}
+
+/**
+ * Every object path under `prefix` in a bucket, descending into folders
+ * (storage list() is paginated and one level deep)
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} bucket
+ * @param {string} prefix
+ * @param {string} [search] only list top-level entries whose name starts with this
+ * @returns {Promise<string[]>}
+ */
+export async function listStorageObjects(supabase, bucket, prefix, search) {
+  const paths = [];
+  const pageSize = 100;
+
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await supabase.storage
+      .from(bucket)
+      .list(prefix, { limit: pageSize, offset, search });
+
+    if (error) {
+      console.error(`⚠️ Could not list ${bucket}/${prefix}:`, error);
+      break;
+    }
+
+    for (const item of data || []) {
+      const itemPath = `${prefix}/${item.name}`;
+      if (item.id) {
+        paths.push(itemPath);
+      } else {
+        // Folders come back without an id
+        paths.push(...await listStorageObjects(supabase, bucket, itemPath));
+      }
+    }
+
+    if (!data || data.length < pageSize) break;
+  }
+
+  return paths;
+}
+
+/**
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} bucket
+ * @param {string[]} paths
+ */
+export async function removeStorageObjects(supabase, bucket, paths) {
+  for (let i = 0; i < paths.length; i += 100) {
+    const { error } = await supabase.storage.from(bucket).remove(paths.slice(i, i + 100));
+    if (error) console.error(`⚠️ ${bucket} object removal failed:`, error);
+  }
+}
+
+/**
+ * Storage folder (videos bucket) for files derived from a video: HLS renditions, captions
+ * @param {{ id: string, user_id: string }} video
+ */
+export function videoAssetPrefix(video) {
+  return `${video.user_id}/${video.id}`;
+}
+
+/**
+ * Storage folder holding a video's HLS renditions
+ * @param {{ id: string, user_id: string }} video
+ */
+export function hlsPrefix(video) {
+  return `${videoAssetPrefix(video)}/hls`;
+}
+
+/**
+ * Read a request body that is either multipart/form-data (fields plus one optional
+ * file) or a JSON object. Endpoints using this must disable the default bodyParser.
+ * @param {import('http').IncomingMessage} req
+ * @param {string} fileField name of the file part to keep; other files are skipped
+ * @param {number} maxFileSize bytes; larger files come back with `truncated: true`
+ * @returns {Promise<{ fields?: object, file?: { filename: string, mimeType: string, buffer: Buffer, truncated: boolean }|null, invalid?: boolean }>}
+ *   `invalid` when a JSON body doesn't parse
+ */
+export function parseFormWithFile(req, fileField, maxFileSize) {
+  return new Promise((resolve, reject) => {
+    if (!(req.headers['content-type'] || '').startsWith('multipart/form-data')) {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        try {
+          const text = Buffer.concat(chunks).toString('utf8');
+          resolve({ fields: text ? JSON.parse(text) : {}, file: null });
+        } catch (e) {
+          resolve({ invalid: true });
+        }
+      });
+      req.on('error', reject);
+      return;
+    }
+
+    const busboy = Busboy({
+      headers: req.headers,
+      limits: { fileSize: maxFileSize, files: 1, fields: 20 },
+    });
+
+    const fields = {};
+    let file = null;
+
+    busboy.on('file', (fieldname, stream, info) => {
+      if (fieldname !== fileField) {
+        stream.resume();
+        return;
+      }
+
+      const chunks = [];
+      let truncated = false;
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('limit', () => { truncated = true; });
+      stream.on('end', () => {
+        file = { filename: info.filename, mimeType: info.mimeType, buffer: Buffer.concat(chunks), truncated };
+      });
+      stream.on('error', reject);
+    });
+
+    busboy.on('field', (fieldname, value) => {
+      fields[fieldname] = value;
+    });
+
+    busboy.on('error', reject);
+    busboy.on('finish', () => resolve({ fields, file }));
+
+    req.pipe(busboy);
+  });
+}
+
+/**
+ * Permanently delete a video: storage objects (original, covers, HLS, captions), caption tracks,
+ * likes, comments (and their likes), the row itself, and the owner's video_count.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {{ id: string, user_id: string, video_url?: string, cover_url?: string, thumbnail_candidates?: string[] }} video
+ * @returns {Promise<{ error: any }>}
+ */
+export async function deleteVideoAndAssets(supabase, video) {
+  const videoPath = storagePathFromUrl(video.video_url, 'videos');
+  const coverPaths = [video.cover_url, ...(video.thumbnail_candidates || [])]
+    .map(url => storagePathFromUrl(url, 'covers'))
+    .filter(Boolean);
+
+  if (videoPath) {
+    const { error } = await supabase.storage.from('videos').remove([videoPath]);
+    if (error) console.error('⚠️ Video object removal failed:', error);
+  }
+
+  if (coverPaths.length > 0) {
+    const { error } = await supabase.storage.from('covers').remove([...new Set(coverPaths)]);
+    if (error) console.error('⚠️ Cover object removal failed:', error);
+  }
+
+  await removeStorageObjects(supabase, 'videos', await listStorageObjects(supabase, 'videos', videoAssetPrefix(video)));
+  await supabase.from('video_captions').delete().eq('video_id', video.id);
+
+  // Likes on the video's comments, then the comments
+  const { data: comments } = await supabase
+    .from('comments')
+    .select('id')
+    .eq('video_id', video.id);
+
+  const commentIds = (comments || []).map(comment => comment.id);
+  if (commentIds.length > 0) {
+    await supabase
+      .from('likes')
+      .delete()
+      .eq('target_type', 'comment')
+      .in('target_id', commentIds);
+  }
+
+  await supabase.from('comments').delete().eq('video_id', video.id);
+
+  await supabase
+    .from('likes')
+    .delete()
+    .eq('target_type', 'video')
+    .eq('target_id', video.id);
+
+  const { error } = await supabase
+    .from('videos')
+    .delete()
+    .eq('id', video.id);
+
+  if (error) {
+    console.error('❌ Video row delete failed:', error);
+    return { error };
+  }
+
+  const { data: owner } = await supabase
+    .from('users')
+    .select('video_count')
+    .eq('id', video.user_id)
+    .maybeSingle();
+
+  if (owner) {
+    await supabase
+      .from('users')
+      .update({ video_count: Math.max(0, (owner.video_count || 0) - 1) })
+      .eq('id', video.user_id);
+  }
+
+  return { error: null };
+}
@@ -1,6 +1,12 @@
 // pages/api/view-videos.js - UPDATED WITH TAB SUPPORT
 import { createClient } from '@supabase/supabase-js';
 import cookie from 'cookie';
+import { checkRateLimit } from './rateLimit.js';
+import { authenticateApiToken } from './patUtils.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from './securityEvents.js';
+import { listCaptions } from './captions.js';
+import { parseChapters } from './chapters.js';
+import { isPublished, PUBLISHED_FILTER } from './videoUtils.js';
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -16,13 +22,28 @@ export default async function handler(req, res) {
     let userId = null;
     let userEmail = null;
     
+    // Personal access token: read scope for listings, write scope for comments
+    const tokenAuth = await authenticateApiToken(
+      supabase,
+      req,
+      req.method === 'POST' ? 'videos:write' : 'videos:read'
+    );
+
+    if (tokenAuth?.error) {
+      return res.status(tokenAuth.status).json({ error: tokenAuth.error });
+    }
+
     // Check if user is authenticated
     const cookies = req.headers.cookie ? cookie.parse(req.headers.cookie) : {};
     const sessionToken = cookies['__Host-session_secure'] || cookies.session_secure;
     
     console.log('🔍 Session token present:', !!sessionToken);
     
-    if (sessionToken) {
+    if (tokenAuth) {
+      userId = tokenAuth.user.id;
+      userEmail = tokenAuth.user.email;
+      console.log('✅ API token authenticated, ID:', userId);
+    } else if (sessionToken) {
       const { data: session } = await supabase
         .from('sessions')
         .select('user_id, user_email, expires_at')
@@ -48,6 +69,12 @@ export default async function handler(req, res) {
         return res.status(401).json({ error: 'Not authenticated' });
       }
 
+      const { allowed } = await checkRateLimit(res, 'comment', userId);
+      if (!allowed) {
+        await recordSecurityEvent(supabase, req, { type: SECURITY_EVENTS.RATE_LIMITED, userId, details: { policy: 'comment' } });
+        return res.status(429).json({ error: 'You are commenting too fast. Please wait a moment.' });
+      }
+
       const { videoId } = req.query;
       const { text } = req.body;
 
@@ -59,11 +86,15 @@ export default async function handler(req, res) {
       // Verify video exists
       const { data: video } = await supabase
         .from('videos')
-        .select('id, user_id, views')
+        .select('id, user_id, views, publish_status')
         .eq('id', videoId)
+        .is('deleted_at', null)
         .maybeSingle();
 
-      if (!video) return res.status(404).json({ error: 'Video not found' });
+      // Drafts and scheduled videos are only visible to their owner
+      if (!video || (!isPublished(video) && video.user_id !== userId)) {
+        return res.status(404).json({ error: 'Video not found' });
+      }
 
       // Get user info for response
       const { data: user } = await supabase
@@ -221,6 +252,19 @@ export default async function handler(req, res) {
             created_at,
             tags,
             ai_generated,
+            duration,
+            width,
+            height,
+            frame_rate,
+            video_codec,
+            audio_codec,
+            bitrate,
+            has_audio,
+            hls_url,
+            processing_status,
+            publish_status,
+            publish_at,
+            published_at,
             users (
               id,
               email,
@@ -230,6 +274,7 @@ export default async function handler(req, res) {
             )
           `)
           .eq('id', singleVideoId)
+          .is('deleted_at', null)
           .limit(1);
 
         if (videosError || !videos || videos.length === 0) {
@@ -238,9 +283,17 @@ export default async function handler(req, res) {
         }
 
         const video = videos[0];
+
+        if (!isPublished(video) && video.user_id !== userId) {
+          console.error('❌ Unpublished video requested by non-owner');
+          return res.status(404).json({ error: 'Video not found' });
+        }
         
         // Process the single video
         const result = await processVideoData(video, userEmail);
+        result.captions = await listCaptions(supabase, video.id);
+        // Derived on read, so editing the description updates them straight away
+        result.chapters = parseChapters(video.description, video.duration).chapters;
         
         // INCREMENT VIEW COUNT if requested
         if (incrementViews === 'true') {
@@ -284,6 +337,19 @@ export default async function handler(req, res) {
           ai_generated,
           category,
           privacy,
+          duration,
+          width,
+          height,
+          frame_rate,
+          video_codec,
+          audio_codec,
+          bitrate,
+          has_audio,
+          hls_url,
+          processing_status,
+          publish_status,
+          publish_at,
+          published_at,
           users (
             id,
             email,
@@ -291,7 +357,14 @@ export default async function handler(req, res) {
             avatar_url,
             profile_picture
           )
-        `);
+        `)
+        .is('deleted_at', null); // Trashed videos only show up in api/manage-video.js
+
+      // Drafts and scheduled videos stay out of every listing except the owner's own
+      // (trending applies the same rule through its own filter below)
+      if (view !== 'your-videos' && view !== 'trending') {
+        query = query.or(PUBLISHED_FILTER);
+      }
 
       // Apply different filters based on view
       switch(view) {
@@ -301,13 +374,16 @@ export default async function handler(req, res) {
           break;
           
         case 'trending':
-          // Trending videos - most views in last 7 days
+          // Trending videos - most views among those published in the last 7 days.
+          // published_at is only set on published videos; ones from before publishing
+          // existed have neither it nor a publish_status, and go by created_at
           const sevenDaysAgo = new Date();
           sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+          const since = sevenDaysAgo.toISOString();
           
           query = query
             .eq('privacy', 'public')
-            .gte('created_at', sevenDaysAgo.toISOString())
+            .or(`published_at.gte.${since},and(publish_status.is.null,created_at.gte.${since})`)
             .order('views', { ascending: false });
           break;
           
@@ -546,10 +622,6 @@ async function processVideoData(video, userEmail) {
       avatar_url: userData.avatar_url || userData.profile_picture || `https://ui-avatars.com/api/?name=${encodeURIComponent(userData.username || userData.email || 'User')}&background=random`
     };
 
-    // Calculate duration placeholder (you might want to store actual duration in database)
-    // For now, we'll use a random duration between 1-10 minutes
-    const duration = Math.floor(Math.random() * 600) + 60; // 1-10 minutes in seconds
-
     // Return the data with EXACT property names the frontend expects
     return {
       id: video.id,
@@ -561,7 +633,18 @@ async function processVideoData(video, userEmail) {
       uploaded_at: video.created_at,
       video_url: videoUrl,  // Frontend expects video_url
       cover_url: coverUrl || 'https://images.unsplash.com/photo-1611605698335-8b1569810435?w=800&h=450&fit=crop',  // Frontend expects cover_url
-      duration: duration,
+      duration: video.duration ?? null,  // Probed at upload; null for older videos
+      width: video.width ?? null,
+      height: video.height ?? null,
+      frame_rate: video.frame_rate ?? null,
+      video_codec: video.video_codec ?? null,
+      audio_codec: video.audio_codec ?? null,
+      bitrate: video.bitrate ?? null,
+      has_audio: video.has_audio ?? null,
+      hls_url: video.hls_url || null,  // Adaptive stream once process-videos has transcoded it
+      processing_status: video.processing_status || 'ready',
+      publish_status: video.publish_status || 'published',
+      publish_at: video.publish_at || null,
       user: processedUser,
       comments: processedComments,
       tags: video.tags || [],
@@ -588,7 +671,11 @@ async function processVideoData(video, userEmail) {
       uploaded_at: video.created_at,
       video_url: video.video_url,
       cover_url: video.cover_url || 'https://images.unsplash.com/photo-1611605698335-8b1569810435?w=800&h=450&fit=crop',
-      duration: 180,
+      duration: video.duration ?? null,
+      hls_url: video.hls_url || null,
+      processing_status: video.processing_status || 'ready',
+      publish_status: video.publish_status || 'published',
+      publish_at: video.publish_at || null,
       user: {
         id: userData.id,
         email: userData.email,
@@ -0,0 +1,169 @@
+// Passkey registration and login against a software authenticator (ES256, "none" attestation)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import {
+  passkeyRegistrationOptions,
+  verifyPasskeyRegistration,
+  passkeyLoginOptions,
+  verifyPasskeyLogin
+} from '../api/passkeyUtils.js';
+
+const rp = { rpName: 'Vibro', rpID: 'localhost', origin: 'http://localhost:3000' };
+const user = { id: '6f1c2a3e-0000-4000-8000-000000000001', email: 'viewer@example.com', username: 'viewer' };
+
+// Minimal CBOR encoder: unsigned/negative ints, byte and text strings, maps
+function cbor(value) {
+  const head = (major, length) => {
+    if (length < 24) return Buffer.from([(major << 5) | length]);
+    if (length < 256) return Buffer.from([(major << 5) | 24, length]);
+    const buffer = Buffer.alloc(3);
+    buffer[0] = (major << 5) | 25;
+    buffer.writeUInt16BE(length, 1);
+    return buffer;
+  };
+
+  if (typeof value === 'number') {
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) return Buffer.concat([head(2, value.length), value]);
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([head(3, bytes.length), bytes]);
+  }
+  const entries = value instanceof Map ? [...value] : Object.entries(value);
+  return Buffer.concat([head(5, entries.length), ...entries.flatMap(([key, entry]) => [cbor(key), cbor(entry)])]);
+}
+
+const b64url = buffer => Buffer.from(buffer).toString('base64url');
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_DATA = 0x40;
+
+function createAuthenticator() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const credentialId = crypto.randomBytes(16);
+  let counter = 0;
+
+  const authData = (flags, extra = Buffer.alloc(0)) => {
+    const count = Buffer.alloc(4);
+    count.writeUInt32BE(counter);
+    return Buffer.concat([sha256(rp.rpID), Buffer.from([flags]), count, extra]);
+  };
+
+  const clientData = (type, challenge) => Buffer.from(JSON.stringify({ type, challenge, origin: rp.origin, crossOrigin: false }));
+
+  return {
+    // navigator.credentials.create()
+    register(options) {
+      const coseKey = new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.from(jwk.x, 'base64url')], [-3, Buffer.from(jwk.y, 'base64url')]]);
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      const attested = Buffer.concat([Buffer.alloc(16), idLength, credentialId, cbor(coseKey)]);
+
+      this.userHandle = options.user.id;
+      return {
+        id: b64url(credentialId),
+        rawId: b64url(credentialId),
+        type: 'public-key',
+        response: {
+          clientDataJSON: b64url(clientData('webauthn.create', options.challenge)),
+          attestationObject: b64url(cbor({
+            fmt: 'none',
+            attStmt: {},
+            authData: authData(FLAG_USER_PRESENT | FLAG_USER_VERIFIED | FLAG_ATTESTED_DATA, attested)
+          })),
+          transports: ['internal']
+        },
+        clientExtensionResults: {}
+      };
+    },
+
+    // navigator.credentials.get()
+    login(options, { userHandle = this.userHandle, userVerified = true } = {}) {
+      counter += 1;
+      const data = authData(FLAG_USER_PRESENT | (userVerified ? FLAG_USER_VERIFIED : 0));
+      const clientDataJSON = clientData('webauthn.get', options.challenge);
+      const signature = crypto.sign('sha256', Buffer.concat([data, sha256(clientDataJSON)]), privateKey);
+
+      return {
+        id: b64url(credentialId),
+        rawId: b64url(credentialId),
+        type: 'public-key',
+        response: {
+          clientDataJSON: b64url(clientDataJSON),
+          authenticatorData: b64url(data),
+          signature: b64url(signature),
+          userHandle
+        },
+        clientExtensionResults: {}
+      };
+    }
+  };
+}
+
+// Register a passkey the way api/passkeys.js does and return the stored row
+async function registerPasskey(authenticator) {
+  const options = await passkeyRegistrationOptions(rp, user);
+  const { passkey, error } = await verifyPasskeyRegistration(rp, authenticator.register(options), options.challenge);
+  assert.equal(error, undefined);
+  return { ...passkey, user_id: user.id };
+}
+
+test('registers a passkey and signs in with it', async () => {
+  const authenticator = createAuthenticator();
+  const passkey = await registerPasskey(authenticator);
+  assert.equal(passkey.counter, 0);
+  assert.deepEqual(passkey.transports, ['internal']);
+
+  const options = await passkeyLoginOptions(rp);
+  assert.equal(options.userVerification, 'required');
+
+  const result = await verifyPasskeyLogin(rp, authenticator.login(options), options.challenge, passkey);
+  assert.deepEqual(result, { newCounter: 1 });
+});
+
+test('rejects a registration answering a different challenge', async () => {
+  const options = await passkeyRegistrationOptions(rp, user);
+  const response = createAuthenticator().register(options);
+  const { passkey, error } = await verifyPasskeyRegistration(rp, response, b64url(crypto.randomBytes(32)));
+  assert.equal(passkey, undefined);
+  assert.equal(error, 'Passkey registration failed');
+});
+
+test('rejects a login whose user handle is not the passkey owner', async () => {
+  const authenticator = createAuthenticator();
+  const passkey = await registerPasskey(authenticator);
+  const options = await passkeyLoginOptions(rp);
+
+  const assertion = authenticator.login(options, { userHandle: b64url(Buffer.from('someone-else')) });
+  assert.deepEqual(await verifyPasskeyLogin(rp, assertion, options.challenge, passkey), { error: 'Passkey verification failed' });
+
+  const withoutHandle = authenticator.login(options);
+  withoutHandle.response.userHandle = undefined;
+  assert.deepEqual(await verifyPasskeyLogin(rp, withoutHandle, options.challenge, passkey), { error: 'Passkey verification failed' });
+});
+
+test('rejects a login without user verification, since it stands in for two factors', async () => {
+  const authenticator = createAuthenticator();
+  const passkey = await registerPasskey(authenticator);
+  const options = await passkeyLoginOptions(rp);
+
+  const assertion = authenticator.login(options, { userVerified: false });
+  assert.deepEqual(await verifyPasskeyLogin(rp, assertion, options.challenge, passkey), { error: 'Passkey verification failed' });
+});
+
+test('rejects a login signed by a different key', async () => {
+  const passkey = await registerPasskey(createAuthenticator());
+  const impostor = createAuthenticator();
+  impostor.register(await passkeyRegistrationOptions(rp, user));
+  const options = await passkeyLoginOptions(rp);
+
+  const assertion = impostor.login(options);
+  assertion.id = passkey.credential_id;
+  assertion.rawId = passkey.credential_id;
+  assert.deepEqual(await verifyPasskeyLogin(rp, assertion, options.challenge, passkey), { error: 'Passkey verification failed' });
+});